@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Command line interface for listing Stendhal items.
+ */
+
+"use strict";
+
+const {parseArgs} = require("util");
+const lib = require("../lib/index.js");
+
+const usage = `Usage: stendhal-items <command> [options]
+
+Commands:
+  list                  List items of a class or group.
+  classes               List available item classes & groups.
+  versions              List released versions & their tags.
+
+Options:
+  --class <name>        Item class or group (default: weapons).
+  --version <version>   Stendhal version or "master" (default: current release).
+  --sort <attributes>   Comma-separated attributes by which to sort. Prefix with "-"
+                        for descending order, e.g. "level,-dpt" (default: name).
+                        Join a value starting with "-" using "=", e.g. --sort=-dpt.
+  --descending          Sort single attribute in descending order.
+  --format <format>     Output format: text, csv or json (default: text).
+  --path <dir>          Read from local Stendhal checkout instead of network.
+  --base <url>          Read from mirror URL. "{branch}" is replaced with branch name.
+  --unattainable        Include items marked as unattainable.
+  --offline             Look up versions in bundled manifest instead of GitHub API.
+  -h, --help            Show this help.
+`;
+
+/** Class attributes in order of text & CSV output columns. */
+const attributes = ["value", "level", "rate", "atk", "dpt", "def", "range", "heal", "healrate", "turns", "healvalue",
+		"immunity"];
+
+/**
+ * Retrieves item attributes written in text & CSV output.
+ *
+ * @param {string} className
+ *   Class or group name.
+ * @returns {string[]}
+ *   Attribute names in output order.
+ */
+function getColumns(className) {
+	const relevant = lib.classes.getAttributes(className);
+	return ["name", "class"].concat(attributes.filter((attr) => relevant.indexOf(attr) > -1), ["special"]);
+}
+
+/**
+ * Retrieves an item attribute as text.
+ *
+ * @param {object} item
+ *   Item definition.
+ * @param {string} col
+ *   Attribute name.
+ * @returns {string}
+ *   Formatted value.
+ */
+function formatValue(item, col) {
+	if (col === "special") {
+		return lib.effects.formatList(item.special).join(", ");
+	}
+	// computed attributes that do not apply are left empty
+	return lib.sorter.isMissing(item[col], col) ? "" : "" + item[col];
+}
+
+/**
+ * Quotes a CSV field if necessary.
+ *
+ * @param {string} value
+ *   Field value.
+ * @returns {string}
+ *   Escaped field.
+ */
+function escapeCsv(value) {
+	if (/[",\n]/.test(value)) {
+		return "\"" + value.replaceAll("\"", "\"\"") + "\"";
+	}
+	return value;
+}
+
+/**
+ * Serializes items for output.
+ *
+ * @param {object[]} items
+ *   Parsed items.
+ * @param {string} format
+ *   One of "text", "csv" or "json".
+ * @param {string} className
+ *   Class or group name of items.
+ * @returns {string}
+ *   Serialized items.
+ */
+function formatItems(items, format, className) {
+	if (format === "json") {
+		return JSON.stringify(items, null, "\t");
+	}
+	const columns = getColumns(className);
+	const rows = [columns];
+	for (const item of items) {
+		rows.push(columns.map((col) => formatValue(item, col)));
+	}
+	if (format === "csv") {
+		return rows.map((row) => row.map(escapeCsv).join(",")).join("\n");
+	}
+	if (format !== "text") {
+		throw new Error("Unknown format: " + format);
+	}
+	// pad columns for alignment
+	const widths = columns.map((col, idx) => Math.max(...rows.map((row) => row[idx].length)));
+	return rows.map((row) => row.map((value, idx) => value.padEnd(widths[idx])).join("  ").trimEnd()).join("\n");
+}
+
+/**
+ * Runs CLI.
+ *
+ * @param {string[]} argv
+ *   Command line arguments excluding executable & script.
+ */
+async function main(argv) {
+	const {values, positionals} = parseArgs({
+		args: argv,
+		allowPositionals: true,
+		options: {
+			class: {type: "string", default: "weapons"},
+			version: {type: "string"},
+			sort: {type: "string", default: "name"},
+			descending: {type: "boolean", default: false},
+			format: {type: "string", default: "text"},
+			path: {type: "string"},
+			base: {type: "string"},
+			unattainable: {type: "boolean", default: false},
+			offline: {type: "boolean", default: false},
+			help: {type: "boolean", short: "h", default: false}
+		}
+	});
+	const command = positionals[0];
+	if (values.help || !command) {
+		process.stdout.write(usage);
+		return;
+	}
+	const options = {
+		path: values.path,
+		base: values.base,
+		version: values.version,
+		offline: values.offline
+	};
+	if (command === "versions") {
+		const catalogue = await lib.loadVersions({offline: values.offline});
+		// JSON output has same format as bundled manifest
+		process.stdout.write(values.format === "json" ? JSON.stringify(catalogue.map((entry) => entry.tag), null, "\t") + "\n"
+				: catalogue.map((entry) => entry.version + "\t" + entry.tag).join("\n") + "\n");
+	} else if (command === "classes") {
+		const classNames = await lib.loadClassNames(options);
+		process.stdout.write(values.format === "json" ? JSON.stringify(classNames, null, "\t") + "\n"
+				: classNames.join("\n") + "\n");
+	} else if (command === "list") {
+		const res = await lib.loadItems(Object.assign(options, {
+			className: values.class,
+			sort: values.sort,
+			descending: values.descending,
+			showUnattainable: values.unattainable
+		}));
+		process.stdout.write(formatItems(res.items, values.format, values.class) + "\n");
+	} else {
+		throw new Error("Unknown command: " + command);
+	}
+}
+
+main(process.argv.slice(2)).catch((e) => {
+	process.stderr.write("ERROR: " + e.message + "\n");
+	process.exitCode = 1;
+});
@@ -0,0 +1,316 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Estimates damage a weapon deals to a creature.
+ *
+ * Follows the attack & defense formula of `RPEntity` in Stendhal server, ignoring karma & distance
+ * modifiers of ranged attacks. Weighting constants are read from the server source of the loaded
+ * version when available.
+ */
+const calculator = {
+	/** Path to server source defining combat formula. */
+	sourcePath: "src/games/stendhal/server/entity/RPEntity.java",
+	/** Approximate weighting constants used if they cannot be read from server source. */
+	defaults: {
+		WEIGHT_ATK: 0.01,
+		WEIGHT_EFFECT: 60,
+		VALUE_EMPTY_HANDS: 10
+	},
+	/** Weighting constants of loaded version. */
+	constants: {},
+	/** Number of samples per axis used to integrate attack & defense rolls. */
+	samples: 50,
+	/** Weapons available for selection. */
+	weapons: [],
+	/** Ammunition available for ranged weapons. */
+	ammunition: [],
+	/** Creatures available for selection. */
+	creatures: [],
+	/** Branch from which data was loaded. */
+	branch: undefined,
+
+	/**
+	 * Reads weighting constants from server source.
+	 *
+	 * @param {string} content
+	 *   Java source of `RPEntity`.
+	 */
+	parseConstants(content) {
+		this.constants = {};
+		for (const name in this.defaults) {
+			const match = new RegExp(name + "\\s*=\\s*(-?[\\d.]+)").exec(content);
+			if (match) {
+				this.constants[name] = Number.parseFloat(match[1]);
+			}
+		}
+	},
+
+	/**
+	 * Retrieves a weighting constant.
+	 *
+	 * @param {string} name
+	 *   Constant name.
+	 * @returns {number}
+	 *   Constant value.
+	 */
+	getConstant(name) {
+		if (typeof(this.constants[name]) === "number") {
+			return this.constants[name];
+		}
+		return this.defaults[name];
+	},
+
+	/**
+	 * Checks if any weighting constant could not be read from server source.
+	 *
+	 * @returns {boolean}
+	 *   `true` if estimate uses approximations.
+	 */
+	usesDefaults() {
+		return Object.keys(this.defaults).some((name) => typeof(this.constants[name]) !== "number");
+	},
+
+	/**
+	 * Fetches weapons, ammunition, creatures & combat constants if not loaded for current branch.
+	 */
+	async load() {
+		if (this.branch === main.branch) {
+			return;
+		}
+		this.branch = main.branch;
+		this.weapons = [];
+		this.ammunition = [];
+		await remote.fetchItemsForClass(this.branch, this.weapons, "weapons");
+		await remote.fetchItemsForClass(this.branch, this.ammunition, "arrows");
+		this.creatures = await remote.fetchCreatures(this.branch);
+		await remote.fetchText(this.sourcePath, (content) => {
+			this.parseConstants(content);
+		}, "text/plain", this.branch);
+		for (const list of [this.weapons, this.ammunition, this.creatures]) {
+			list.sort((objA, objB) => objA.level - objB.level || (objA.name < objB.name ? -1 : 1));
+		}
+	},
+
+	/**
+	 * Calculates chance that an attack hits.
+	 *
+	 * The server rolls a 20-sided die & the attack hits if `20 * ATK > roll * DEF`.
+	 *
+	 * @param {number} atkSkill
+	 *   Attacker's ATK skill level.
+	 * @param {number} def
+	 *   Defender's DEF.
+	 * @returns {number}
+	 *   Probability between 0 & 1.
+	 */
+	getHitChance(atkSkill, def) {
+		let hits = 0;
+		for (let roll = 1; roll <= 20; roll++) {
+			if (20 * atkSkill - roll * def > 0) {
+				hits++;
+			}
+		}
+		return hits / 20;
+	},
+
+	/**
+	 * Calculates average damage of a successful hit.
+	 *
+	 * Attack & defense are uniformly random up to their maximum so the expected value is
+	 * integrated over both rolls.
+	 *
+	 * @param {object} attacker
+	 *   Object with `level`, `atk` (skill) & `weaponAtk` properties.
+	 * @param {object} creature
+	 *   Creature definition.
+	 * @param {number} susceptibility
+	 *   Creature's damage multiplier for weapon's damage type.
+	 * @returns {number}
+	 *   Average damage.
+	 */
+	getAverageDamage(attacker, creature, susceptibility) {
+		const maxDefence = Math.sqrt(creature.def * this.getConstant("VALUE_EMPTY_HANDS")) * (creature.level + 5);
+		const maxAttack = attacker.atk * attacker.weaponAtk * (attacker.level + 5) * this.getConstant("WEIGHT_ATK");
+		if (maxDefence <= 0) {
+			return Infinity;
+		}
+		const weightEffect = this.getConstant("WEIGHT_EFFECT");
+		let total = 0;
+		for (let a = 0; a < this.samples; a++) {
+			const attack = ((a + 0.5) / this.samples) * maxAttack;
+			for (let d = 0; d < this.samples; d++) {
+				const defence = ((d + 0.5) / this.samples) * maxDefence;
+				total += Math.max(0, Math.trunc(susceptibility * (weightEffect * attack - defence) / maxDefence));
+			}
+		}
+		return total / (this.samples * this.samples);
+	},
+
+	/**
+	 * Estimates damage of a weapon against a creature.
+	 *
+	 * @param {object} weapon
+	 *   Weapon definition.
+	 * @param {object|undefined} ammo
+	 *   Ammunition definition for ranged weapons.
+	 * @param {object} creature
+	 *   Creature definition.
+	 * @param {number} level
+	 *   Player level.
+	 * @param {number} atkSkill
+	 *   Player ATK skill level.
+	 * @returns {object}
+	 *   Object with `hitChance`, `damage`, `dpt` & `turns` (to kill) properties.
+	 */
+	estimate(weapon, ammo, creature, level, atkSkill) {
+		let weaponAtk = weapon.atk;
+		let damageTypes = weapon.special.filter((effect) => effect.kind === "damagetype");
+		if (ammo) {
+			weaponAtk += ammo.atk;
+			damageTypes = damageTypes.concat(ammo.special.filter((effect) => effect.kind === "damagetype"));
+		}
+		let susceptibility = 1;
+		if (damageTypes.length > 0) {
+			const sus = creature.susceptibility[damageTypes[damageTypes.length - 1].type];
+			if (typeof(sus) === "number") {
+				susceptibility = sus;
+			}
+		}
+		const hitChance = this.getHitChance(atkSkill, creature.def);
+		const damage = this.getAverageDamage({level: level, atk: atkSkill, weaponAtk: weaponAtk}, creature,
+				susceptibility);
+		const dpt = weapon.rate > 0 ? hitChance * damage / weapon.rate : 0;
+		return {
+			hitChance: hitChance,
+			susceptibility: susceptibility,
+			damage: damage,
+			dpt: dpt,
+			turns: dpt > 0 ? creature.hp / dpt : Infinity
+		};
+	},
+
+	/**
+	 * Retrieves selected entry of a list.
+	 *
+	 * @param {string} id
+	 *   Select element ID.
+	 * @param {object[]} list
+	 *   Entries listed in select element.
+	 * @returns {object|undefined}
+	 *   Selected entry.
+	 */
+	getSelected(id, list) {
+		const name = document.getElementById(id).value;
+		return list.find((entry) => entry.name === name);
+	},
+
+	/**
+	 * Populates a select element.
+	 *
+	 * @param {string} id
+	 *   Select element ID.
+	 * @param {object[]} list
+	 *   Entries to list.
+	 * @param {boolean} [optional=false]
+	 *   If `true`, an empty option is added.
+	 */
+	populateSelect(id, list, optional=false) {
+		const select = document.getElementById(id);
+		select.replaceChildren();
+		if (optional) {
+			select.appendChild(new Option("(none)", ""));
+		}
+		for (const entry of list) {
+			select.appendChild(new Option(entry.name + " (level " + entry.level + ")", entry.name));
+		}
+	},
+
+	/**
+	 * Displays estimate for selected weapon & creature.
+	 */
+	update() {
+		const weapon = this.getSelected("calculator-weapon", this.weapons);
+		const creature = this.getSelected("calculator-creature", this.creatures);
+		const ranged = typeof(weapon) !== "undefined" && classes.isRangedType(weapon.class);
+		const ammoSelect = document.getElementById("calculator-ammo");
+		ammoSelect.disabled = !ranged;
+		const ammo = ranged ? this.getSelected("calculator-ammo", this.ammunition) : undefined;
+		const result = document.getElementById("calculator-result");
+		if (!weapon || !creature) {
+			result.replaceChildren();
+			return;
+		}
+		const level = util.parseNumberDefault(document.getElementById("calculator-level").value, 0);
+		const atkSkill = util.parseNumberDefault(document.getElementById("calculator-atk").value, 10);
+		const res = this.estimate(weapon, ammo, creature, level, atkSkill);
+		const rows = [
+			["Creature level / HP / DEF", creature.level + " / " + creature.hp + " / " + creature.def],
+			["Damage type multiplier", res.susceptibility],
+			["Hit chance", Math.round(res.hitChance * 100) + "%"],
+			["Average damage per hit", Math.round(res.damage * 100) / 100],
+			["Expected damage per turn", Math.round(res.dpt * 100) / 100],
+			["Turns to kill", Number.isFinite(res.turns) ? Math.ceil(res.turns) : "never"]
+		];
+		const table = details.createTable("Estimate", ["", "Value"], rows);
+		result.replaceChildren(table);
+		if (this.usesDefaults()) {
+			const note = document.createElement("p");
+			note.innerText = "Combat constants could not be read from server source, values are approximate.";
+			result.appendChild(note);
+		}
+	},
+
+	/**
+	 * Shows or hides calculator, loading data when first shown.
+	 */
+	async toggle() {
+		const container = document.getElementById("calculator");
+		if (!container.classList.contains("hidden")) {
+			container.classList.add("hidden");
+			return;
+		}
+		container.classList.remove("hidden");
+		if (this.branch !== main.branch) {
+			document.getElementById("calculator-result").innerText = "Loading...";
+			await this.load();
+			this.populateSelect("calculator-weapon", this.weapons);
+			this.populateSelect("calculator-ammo", this.ammunition, true);
+			this.populateSelect("calculator-creature", this.creatures);
+		}
+		this.update();
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	document.getElementById("calculator-button").addEventListener("click", () => {
+		calculator.toggle();
+	});
+	for (const id of ["calculator-weapon", "calculator-ammo", "calculator-creature", "calculator-level",
+			"calculator-atk"]) {
+		document.getElementById(id).addEventListener("change", () => {
+			calculator.update();
+		});
+	}
+});
@@ -0,0 +1,355 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Scatter chart plotting two numeric attributes of loaded items.
+ *
+ * Drawn as SVG. Optionally shows the best value available at each step of the horizontal axis,
+ * e.g. the strongest weapon a player can use at each level.
+ */
+const chart = {
+	/** SVG namespace. */
+	ns: "http://www.w3.org/2000/svg",
+	/** Chart dimensions in pixels. */
+	width: 640,
+	height: 400,
+	/** Space for axes & labels. */
+	margin: {top: 20, right: 20, bottom: 45, left: 60},
+	/** Attributes that can be plotted. */
+	attributes: ["level", "value", "rate", "atk", "dpt", "def", "range", "heal", "healrate", "turns", "healvalue",
+			"hp", "xp"],
+
+	/**
+	 * Retrieves default vertical axis attribute for class type.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {string}
+	 *   Attribute name.
+	 */
+	getDefaultAttribute(className) {
+		if (classes.isWeaponType(className)) {
+			return "dpt";
+		}
+		if (classes.isArmorType(className)) {
+			return "def";
+		}
+		if (classes.isProjectileType(className)) {
+			return "atk";
+		}
+		if (classes.isConsumableType(className)) {
+			return "healrate";
+		}
+		return "value";
+	},
+
+	/**
+	 * Builds points from items.
+	 *
+	 * Items without finite values, such as DPT of weapons without rate, are skipped.
+	 *
+	 * @param {object[]} items
+	 *   Item definitions.
+	 * @param {string} xAttr
+	 *   Attribute of horizontal axis.
+	 * @param {string} yAttr
+	 *   Attribute of vertical axis.
+	 * @returns {object}
+	 *   Object with `points` (list of `x`, `y` & `item`) & number of `skipped` items.
+	 */
+	getPoints(items, xAttr, yAttr) {
+		const points = [];
+		let skipped = 0;
+		for (const item of items) {
+			const x = Number(item[xAttr]);
+			const y = Number(item[yAttr]);
+			if (Number.isFinite(x) && Number.isFinite(y)) {
+				points.push({x: x, y: y, item: item});
+			} else {
+				skipped++;
+			}
+		}
+		return {points: points, skipped: skipped};
+	},
+
+	/**
+	 * Finds best value available at each horizontal position.
+	 *
+	 * A point is part of the frontier if no point at same or lower horizontal position has a
+	 * higher or equal value.
+	 *
+	 * @param {object[]} points
+	 *   Chart points.
+	 * @returns {object[]}
+	 *   Frontier points ordered by horizontal position.
+	 */
+	getFrontier(points) {
+		const sorted = points.slice().sort((a, b) => a.x - b.x || b.y - a.y);
+		const frontier = [];
+		for (const point of sorted) {
+			if (frontier.length === 0 || point.y > frontier[frontier.length - 1].y) {
+				frontier.push(point);
+			}
+		}
+		return frontier;
+	},
+
+	/**
+	 * Calculates evenly spaced axis tick values.
+	 *
+	 * @param {number} min
+	 *   Lowest value.
+	 * @param {number} max
+	 *   Highest value.
+	 * @param {number} [count=5]
+	 *   Approximate number of ticks.
+	 * @returns {number[]}
+	 *   Tick values.
+	 */
+	getTicks(min, max, count=5) {
+		const span = max - min || 1;
+		const rough = span / count;
+		const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+		let step = magnitude;
+		for (const factor of [2, 5, 10]) {
+			if (rough > step) {
+				step = magnitude * factor;
+			}
+		}
+		const ticks = [];
+		for (let tick = Math.floor(min / step) * step; tick <= max + step / 2; tick += step) {
+			ticks.push(Math.round(tick * 1000) / 1000);
+		}
+		return ticks;
+	},
+
+	/**
+	 * Creates an SVG element.
+	 *
+	 * @param {string} tag
+	 *   Element name.
+	 * @param {object} [attributes={}]
+	 *   Attribute values keyed by name.
+	 * @returns {SVGElement}
+	 *   New element.
+	 */
+	createElement(tag, attributes={}) {
+		const element = document.createElementNS(this.ns, tag);
+		for (const name in attributes) {
+			element.setAttribute(name, "" + attributes[name]);
+		}
+		return element;
+	},
+
+	/**
+	 * Shows attributes of a hovered point.
+	 *
+	 * @param {object|undefined} point
+	 *   Chart point or `undefined` to clear.
+	 * @param {string} xAttr
+	 *   Attribute of horizontal axis.
+	 * @param {string} yAttr
+	 *   Attribute of vertical axis.
+	 */
+	showInfo(point, xAttr, yAttr) {
+		const info = document.getElementById("chart-info");
+		if (!point) {
+			info.innerText = "Hover over a point to see item, click to show details.";
+			return;
+		}
+		info.innerText = point.item.name + ": " + main.getColumnLabel(xAttr) + " " + point.x + ", "
+				+ main.getColumnLabel(yAttr) + " " + point.y;
+	},
+
+	/**
+	 * Draws chart for loaded items using selected attributes.
+	 */
+	draw() {
+		const xAttr = document.getElementById("chart-x").value;
+		const yAttr = document.getElementById("chart-y").value;
+		const showFrontier = document.getElementById("chart-frontier").checked;
+		const {points, skipped} = this.getPoints(filter.apply(main.items), xAttr, yAttr);
+		const xLabel = main.getColumnLabel(xAttr);
+		const yLabel = main.getColumnLabel(yAttr);
+
+		const svg = this.createElement("svg", {
+			width: this.width,
+			height: this.height,
+			viewBox: "0 0 " + this.width + " " + this.height,
+			role: "img",
+			"aria-label": yLabel + " by " + xLabel + " of " + points.length + " items"
+		});
+		const plotWidth = this.width - this.margin.left - this.margin.right;
+		const plotHeight = this.height - this.margin.top - this.margin.bottom;
+		const xTicks = this.getTicks(Math.min(0, ...points.map((p) => p.x)), Math.max(1, ...points.map((p) => p.x)));
+		const yTicks = this.getTicks(Math.min(0, ...points.map((p) => p.y)), Math.max(1, ...points.map((p) => p.y)));
+		const xMin = xTicks[0];
+		const xMax = xTicks[xTicks.length - 1];
+		const yMin = yTicks[0];
+		const yMax = yTicks[yTicks.length - 1];
+		const scaleX = (x) => this.margin.left + (x - xMin) / (xMax - xMin || 1) * plotWidth;
+		const scaleY = (y) => this.margin.top + plotHeight - (y - yMin) / (yMax - yMin || 1) * plotHeight;
+
+		// axes & grid
+		for (const tick of xTicks) {
+			const x = scaleX(tick);
+			svg.appendChild(this.createElement("line", {x1: x, y1: this.margin.top, x2: x,
+					y2: this.margin.top + plotHeight, class: "chart-grid"}));
+			const label = this.createElement("text", {x: x, y: this.margin.top + plotHeight + 15,
+					"text-anchor": "middle"});
+			label.textContent = "" + tick;
+			svg.appendChild(label);
+		}
+		for (const tick of yTicks) {
+			const y = scaleY(tick);
+			svg.appendChild(this.createElement("line", {x1: this.margin.left, y1: y,
+					x2: this.margin.left + plotWidth, y2: y, class: "chart-grid"}));
+			const label = this.createElement("text", {x: this.margin.left - 5, y: y + 4, "text-anchor": "end"});
+			label.textContent = "" + tick;
+			svg.appendChild(label);
+		}
+		svg.appendChild(this.createElement("rect", {x: this.margin.left, y: this.margin.top,
+				width: plotWidth, height: plotHeight, class: "chart-frame"}));
+		const xTitle = this.createElement("text", {x: this.margin.left + plotWidth / 2, y: this.height - 8,
+				"text-anchor": "middle", class: "chart-title"});
+		xTitle.textContent = xLabel;
+		svg.appendChild(xTitle);
+		const yTitle = this.createElement("text", {x: 0, y: 0, "text-anchor": "middle", class: "chart-title",
+				transform: "translate(15 " + (this.margin.top + plotHeight / 2) + ") rotate(-90)"});
+		yTitle.textContent = yLabel;
+		svg.appendChild(yTitle);
+
+		// best value at each step is held until next frontier point
+		const frontier = showFrontier ? this.getFrontier(points) : [];
+		if (frontier.length > 0) {
+			const coords = [];
+			frontier.forEach((point, idx) => {
+				if (idx > 0) {
+					coords.push(scaleX(point.x) + "," + scaleY(frontier[idx - 1].y));
+				}
+				coords.push(scaleX(point.x) + "," + scaleY(point.y));
+			});
+			coords.push(scaleX(xMax) + "," + scaleY(frontier[frontier.length - 1].y));
+			svg.appendChild(this.createElement("polyline", {points: coords.join(" "), class: "chart-frontier"}));
+		}
+
+		for (const point of points) {
+			const circle = this.createElement("circle", {cx: scaleX(point.x), cy: scaleY(point.y), r: 5,
+					class: "chart-point", tabindex: 0});
+			if (frontier.indexOf(point) > -1) {
+				circle.classList.add("chart-frontier-point");
+			}
+			const title = this.createElement("title");
+			title.textContent = point.item.name + " (" + xLabel + " " + point.x + ", " + yLabel + " " + point.y + ")";
+			circle.appendChild(title);
+			for (const type of ["mouseenter", "focus"]) {
+				circle.addEventListener(type, () => {
+					this.showInfo(point, xAttr, yAttr);
+				});
+			}
+			for (const type of ["mouseleave", "blur"]) {
+				circle.addEventListener(type, () => {
+					this.showInfo(undefined);
+				});
+			}
+			circle.addEventListener("click", () => {
+				main.showDetails(point.item);
+			});
+			circle.addEventListener("keydown", (evt) => {
+				if (evt.key === "Enter" || evt.key === " ") {
+					evt.preventDefault();
+					main.showDetails(point.item);
+				}
+			});
+			svg.appendChild(circle);
+		}
+
+		document.getElementById("chart-plot").replaceChildren(svg);
+		this.showInfo(undefined);
+		if (skipped > 0) {
+			document.getElementById("chart-info").innerText += " " + skipped
+					+ " items without numeric values are not shown.";
+		}
+	},
+
+	/**
+	 * Checks if chart is displayed.
+	 *
+	 * @returns {boolean}
+	 *   `true` if chart is visible.
+	 */
+	isVisible() {
+		return !document.getElementById("chart").classList.contains("hidden");
+	},
+
+	/**
+	 * Selects default attributes for current class or data type & redraws chart if visible.
+	 */
+	reset() {
+		if (main.mode === "creatures") {
+			document.getElementById("chart-x").value = "level";
+			document.getElementById("chart-y").value = "hp";
+		} else if (main.mode === "combinations") {
+			document.getElementById("chart-x").value = "level";
+			document.getElementById("chart-y").value = "dpt";
+		} else {
+			// consumables have no level requirement
+			document.getElementById("chart-x").value = classes.isConsumableType(main.className) ? "value" : "level";
+			document.getElementById("chart-y").value = this.getDefaultAttribute(main.className);
+		}
+		if (this.isVisible()) {
+			this.draw();
+		}
+	},
+
+	/**
+	 * Shows or hides chart.
+	 */
+	toggle() {
+		const container = document.getElementById("chart");
+		container.classList.toggle("hidden");
+		if (this.isVisible()) {
+			this.draw();
+		}
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	for (const id of ["chart-x", "chart-y"]) {
+		const select = document.getElementById(id);
+		for (const attr of chart.attributes) {
+			select.appendChild(new Option(main.getColumnLabel(attr), attr));
+		}
+		select.addEventListener("change", () => {
+			chart.draw();
+		});
+	}
+	document.getElementById("chart-frontier").addEventListener("change", () => {
+		chart.draw();
+	});
+	document.getElementById("chart-button").addEventListener("click", () => {
+		chart.toggle();
+	});
+	chart.reset();
+});
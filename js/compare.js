@@ -0,0 +1,251 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Compares items between two Stendhal versions.
+ *
+ * Items of loaded version are considered "before" & items of compared version "after".
+ */
+const compare = {
+	/** Version to compare against loaded version. */
+	versionString: undefined,
+	/** Branch URL slug of compared version. */
+	branch: undefined,
+	/** Differences keyed by item name. */
+	changes: {},
+	/** Item attributes checked for changes. */
+	attributes: ["level", "rate", "atk", "dpt", "def", "range", "value", "special"],
+
+	/**
+	 * Checks if compare mode is enabled.
+	 *
+	 * @returns {boolean}
+	 *   `true` if a version to compare is set & items are displayed.
+	 */
+	isActive() {
+		return typeof(this.versionString) === "string" && this.versionString.length > 0
+				&& main.mode === "items";
+	},
+
+	/**
+	 * Sets version to compare against loaded version.
+	 *
+	 * @param {string|undefined} versionString
+	 *   Version or `undefined` to disable compare mode.
+	 */
+	setVersion(versionString) {
+		this.versionString = versionString || undefined;
+		this.branch = undefined;
+		this.changes = {};
+		if (this.isActive()) {
+			this.branch = main.getBranch(this.versionString);
+		}
+		document.getElementById("compare").value = this.versionString || "";
+		main.updateColumns();
+	},
+
+	/**
+	 * Fetches items of compared version & replaces loaded items with differences.
+	 *
+	 * @param {object[]} items
+	 *   Items of loaded version.
+	 * @returns {Promise<boolean>}
+	 *   `true` if loaded items were replaced, `false` if they were superseded by another load.
+	 */
+	async load(items) {
+		const after = [];
+		const branch = this.branch;
+		// prices & drops of compared version are shown for added & changed items
+		const prices = remote.fetchShops(branch);
+		const dropSources = remote.fetchDropIndex(branch);
+		await remote.fetchItemsForClass(branch, after, main.className);
+		offers.apply(after, await prices);
+		drops.apply(after, await dropSources);
+		if (main.items !== items) {
+			return false;
+		}
+		main.items = this.diff(items, after);
+		logger.info("Comparing " + main.versionString + " to " + this.versionString + ": "
+				+ main.items.length + " items differ", true);
+		return true;
+	},
+
+	/**
+	 * Checks if attribute values are the same.
+	 *
+	 * @param {any} valueA
+	 *   First value.
+	 * @param {any} valueB
+	 *   Second value.
+	 * @returns {boolean}
+	 *   `true` if values are equal.
+	 */
+	isEqual(valueA, valueB) {
+		if (Array.isArray(valueA) && Array.isArray(valueB)) {
+			return valueA.length === valueB.length
+					&& valueA.every((effect, idx) => effects.isEqual(effect, valueB[idx]));
+		}
+		return valueA === valueB || (Number.isNaN(valueA) && Number.isNaN(valueB));
+	},
+
+	/**
+	 * Builds list of items that were added, removed or changed between versions.
+	 *
+	 * @param {object[]} before
+	 *   Items of loaded version.
+	 * @param {object[]} after
+	 *   Items of compared version.
+	 * @returns {object[]}
+	 *   Differing items. Removed items are represented by their old definition, others by their
+	 *   new definition.
+	 */
+	diff(before, after) {
+		this.changes = {};
+		const res = [];
+		const previous = {};
+		for (const item of before) {
+			previous[item.name] = item;
+		}
+		for (const item of after) {
+			const old = previous[item.name];
+			delete previous[item.name];
+			if (!old) {
+				this.changes[item.name] = {status: "added", before: undefined, attributes: []};
+				res.push(item);
+				continue;
+			}
+			const changed = [];
+			for (const attr of this.attributes) {
+				if (!this.isEqual(old[attr], item[attr])) {
+					changed.push(attr);
+				}
+			}
+			if (changed.length > 0) {
+				this.changes[item.name] = {status: "changed", before: old, attributes: changed};
+				res.push(item);
+			}
+		}
+		for (const item of Object.values(previous)) {
+			this.changes[item.name] = {status: "removed", before: item, attributes: []};
+			res.push(item);
+		}
+		return res;
+	},
+
+	/**
+	 * Retrieves branch from which an item's sprite is loaded.
+	 *
+	 * @param {object} item
+	 *   Item definition.
+	 * @param {string} branch
+	 *   Branch of loaded version.
+	 * @returns {string}
+	 *   Branch URL slug.
+	 */
+	getBranch(item, branch) {
+		const change = this.changes[item.name];
+		if (this.isActive() && change && change.status !== "removed") {
+			return this.branch;
+		}
+		return branch;
+	},
+
+	/**
+	 * Retrieves row classes marking type of change for an item.
+	 *
+	 * @param {object} item
+	 *   Item definition.
+	 * @returns {string[]}
+	 *   CSS classes.
+	 */
+	getRowClasses(item) {
+		const change = this.isActive() ? this.changes[item.name] : undefined;
+		return change ? [change.status + "-row"] : [];
+	},
+
+	/**
+	 * Highlights cell if attribute changed & shows before/after value.
+	 *
+	 * @param {HTMLTableCellElement} cell
+	 *   Table cell.
+	 * @param {object} item
+	 *   Item definition.
+	 * @param {string} prop
+	 *   Attribute name.
+	 * @returns {boolean}
+	 *   `true` if cell contents were added.
+	 */
+	decorate(cell, item, prop) {
+		const change = this.changes[item.name];
+		if (!change || change.attributes.indexOf(prop) < 0) {
+			return false;
+		}
+		cell.classList.add("changed-attribute");
+		const old = change.before[prop];
+		if (prop === "special") {
+			const entries = [];
+			for (const effect of old) {
+				if (!item.special.some((e) => effects.isEqual(e, effect))) {
+					const del = document.createElement("del");
+					del.innerText = effects.format(effect);
+					entries.push(del);
+				}
+			}
+			for (const effect of item.special) {
+				const entry = effects.format(effect);
+				if (old.some((e) => effects.isEqual(e, effect))) {
+					entries.push(entry);
+				} else {
+					const ins = document.createElement("ins");
+					ins.innerText = entry;
+					entries.push(ins);
+				}
+			}
+			entries.forEach((entry, idx) => {
+				if (idx > 0) {
+					cell.append(", ");
+				}
+				cell.append(entry);
+			});
+			return true;
+		}
+		cell.innerText = old + " → " + item[prop];
+		return true;
+	},
+
+	/**
+	 * Shows type of change for an item.
+	 *
+	 * @param {HTMLTableCellElement} cell
+	 *   Table cell.
+	 * @param {object} item
+	 *   Item definition.
+	 */
+	displayChange(cell, item) {
+		const change = this.changes[item.name];
+		if (change) {
+			cell.innerText = change.status;
+		}
+	}
+};
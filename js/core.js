@@ -0,0 +1,1506 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+// Stendhal's repo URL
+const repoPrefix = "https://raw.githubusercontent.com/arianne/stendhal/";
+// GitHub API listing tags of Stendhal's repo
+const tagsUrl = "https://api.github.com/repos/arianne/stendhal/tags";
+
+/**
+ * Catalogue of released versions.
+ *
+ * A catalogue is a list of objects with `version` & `tag` properties sorted from newest to
+ * oldest version.
+ */
+const versions = {
+	/** Name of unreleased development branch. */
+	master: "master",
+	/** Pattern matching release tag names. */
+	tagPattern: /^VERSION_(\d+)_RELEASE_(\d+)(?:_(\d+))?$/,
+
+	/**
+	 * Checks if a string is formatted as a version.
+	 *
+	 * @param {string} versionString
+	 *   Dot-separated version string.
+	 * @returns {boolean}
+	 *   `true` if all components are numbers.
+	 */
+	isValid(versionString) {
+		return typeof(versionString) === "string" && /^\d+(\.\d+)*$/.test(versionString);
+	},
+
+	/**
+	 * Compares two versions numerically.
+	 *
+	 * Missing components are treated as 0 so "1.9" < "1.10" & "1.10" == "1.10.0".
+	 *
+	 * @param {string} versionA
+	 *   First version string.
+	 * @param {string} versionB
+	 *   Second version string.
+	 * @returns {number}
+	 *   Negative if `versionA` is older, positive if newer & 0 if equal.
+	 */
+	compare(versionA, versionB) {
+		const a = parser.parseVersion(versionA);
+		const b = parser.parseVersion(versionB);
+		for (let idx = 0; idx < Math.max(a.length, b.length); idx++) {
+			const diff = (a[idx] || 0) - (b[idx] || 0);
+			if (diff !== 0) {
+				return diff;
+			}
+		}
+		return 0;
+	},
+
+	/**
+	 * Retrieves version string of a release tag.
+	 *
+	 * @param {string} tag
+	 *   Tag name (e.g. "VERSION_01_RELEASE_45").
+	 * @returns {string|undefined}
+	 *   Version string or `undefined` if tag does not denote a release.
+	 */
+	fromTag(tag) {
+		const match = this.tagPattern.exec(tag);
+		if (!match) {
+			return undefined;
+		}
+		let versionString = Number.parseInt(match[1], 10) + "." + match[2];
+		if (typeof(match[3]) !== "undefined") {
+			versionString += "." + match[3];
+		}
+		return versionString;
+	},
+
+	/**
+	 * Builds catalogue from tag names.
+	 *
+	 * @param {Array<string|object>} tags
+	 *   Tag names or objects with `name` property as returned by GitHub API.
+	 * @returns {object[]}
+	 *   Catalogue of release tags. Other tags are ignored.
+	 */
+	parseTags(tags) {
+		if (!Array.isArray(tags)) {
+			throw new Error("Tag list is not an array");
+		}
+		const catalogue = [];
+		for (const tag of tags) {
+			const name = typeof(tag) === "string" ? tag : tag && tag.name;
+			const versionString = this.fromTag(name);
+			if (typeof(versionString) !== "undefined" && !this.find(catalogue, versionString)) {
+				catalogue.push({version: versionString, tag: name});
+			}
+		}
+		return catalogue.sort((a, b) => this.compare(b.version, a.version));
+	},
+
+	/**
+	 * Finds catalogue entry of a version.
+	 *
+	 * @param {object[]} catalogue
+	 *   Catalogue of release tags.
+	 * @param {string} versionString
+	 *   Version to find.
+	 * @returns {object|undefined}
+	 *   Catalogue entry or `undefined` if version was not released.
+	 */
+	find(catalogue, versionString) {
+		if (!this.isValid(versionString)) {
+			return undefined;
+		}
+		let found;
+		for (const entry of catalogue) {
+			if (entry.version === versionString) {
+				return entry;
+			}
+			if (!found && this.compare(entry.version, versionString) === 0) {
+				found = entry;
+			}
+		}
+		return found;
+	}
+};
+
+/**
+ * Items classes.
+ */
+const classes = {
+	/** Items grouping. */
+	groups: {
+		weapons: ["axes", "clubs", "ranged", "swords", "whips"],
+		protective: ["armors", "boots", "cloaks", "helmets", "legs", "shields"],
+		projectiles: ["arrows", "missiles"],
+		consumables: ["food", "drink"]
+	},
+	/** User-defined grouping. */
+	custom: {},
+	/** Available class names parsed from config. */
+	available: [],
+	/** Item classes to ignore. */
+	excludes: ["dummy_weapons"],
+
+	/**
+	 * Retrieves selectable items groups names.
+	 *
+	 * @returns {string[]}
+	 *   Built-in followed by user-defined items groups.
+	 */
+	getGroupNames() {
+		return Object.keys(this.groups).concat(Object.keys(this.custom));
+	},
+
+	/**
+	 * Checks if a group was defined by user.
+	 *
+	 * @param {string} name
+	 *   Class or group name.
+	 * @returns {boolean}
+	 *   `true` if is a user-defined group.
+	 */
+	isCustomGroup(name) {
+		return Object.prototype.hasOwnProperty.call(this.custom, name);
+	},
+
+	/**
+	 * Retrieves classes of which a group consists.
+	 *
+	 * @param {string} name
+	 *   Class or group name.
+	 * @returns {string[]}
+	 *   Class names or only `name` if it is not a group.
+	 */
+	getMembers(name) {
+		if (Object.prototype.hasOwnProperty.call(this.groups, name)) {
+			return this.groups[name];
+		}
+		if (this.isCustomGroup(name)) {
+			return this.custom[name];
+		}
+		return [name];
+	},
+
+	/**
+	 * Parses user-defined groups.
+	 *
+	 * Groups are separated by ";" & formatted as `name:class1,class2`. Invalid groups are skipped
+	 * so that they do not discard the others.
+	 *
+	 * @param {string} value
+	 *   Formatted groups.
+	 * @param {string[]} [errors=[]]
+	 *   List to which reasons for skipped groups are added.
+	 * @returns {object}
+	 *   Class names keyed by group name.
+	 */
+	parseGroups(value, errors=[]) {
+		const groups = {};
+		for (const def of (value || "").split(";")) {
+			const idx = def.indexOf(":");
+			if (def.trim().length === 0) {
+				continue;
+			}
+			const name = idx > -1 ? def.substring(0, idx).trim() : "";
+			const members = idx > -1 ? def.substring(idx + 1).split(",").map((m) => m.trim())
+					.filter((m) => m.length > 0) : [];
+			if (name.length === 0 || members.length === 0) {
+				errors.push("Invalid group definition: " + def);
+				continue;
+			}
+			if (Object.prototype.hasOwnProperty.call(this.groups, name)) {
+				// groups that became built-in, such as "consumables:food,drink", are replaced silently
+				if (members.join(",") !== this.groups[name].join(",")) {
+					errors.push("Group name is reserved: " + name);
+				}
+				continue;
+			}
+			groups[name] = members;
+		}
+		return groups;
+	},
+
+	/**
+	 * Formats user-defined groups for storage in URL.
+	 *
+	 * @param {object} groups
+	 *   Class names keyed by group name.
+	 * @returns {string}
+	 *   Formatted groups.
+	 */
+	formatGroups(groups) {
+		return Object.keys(groups).map((name) => name + ":" + groups[name].join(",")).join(";");
+	},
+
+	/**
+	 * Checks if class is a weapon equipment type.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {boolean}
+	 *   `true` if is a weapon type.
+	 */
+	isWeaponType(className) {
+		return className === "weapons" || this.groups.weapons.indexOf(className) > -1;
+	},
+
+	/**
+	 * Checks if class is an armor equipment type.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {boolean}
+	 *   `true` if is a armor type.
+	 */
+	isArmorType(className) {
+		return className === "protective" || this.groups.protective.indexOf(className) > -1;
+	},
+
+	/**
+	 * Checks if class is a ranged weapon type.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {boolean}
+	 *   `true` if is a ranged type.
+	 */
+	isRangedType(className) {
+		return className === "ranged";
+	},
+
+	/**
+	 * Checks if class is a throwable projectile type.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {boolean}
+	 *   `true` if is a projectile type.
+	 */
+	isProjectileType(className) {
+		return className === "projectiles" || this.groups.projectiles.indexOf(className) > -1;
+	},
+
+	/**
+	 * Checks if class is a consumable type.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @return {boolean}
+	 *   `true` if is a consumable type.
+	 */
+	isConsumableType(className) {
+		return className === "consumables" || this.groups.consumables.indexOf(className) > -1;
+	},
+
+	/**
+	 * Retrieves attributes characterizing items of a class.
+	 *
+	 * Attributes of all items, such as name & special effects, are not included.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {string[]}
+	 *   Attribute names. Attributes of user-defined group members are combined.
+	 */
+	getAttributes(className) {
+		if (this.isCustomGroup(className)) {
+			const attributes = [];
+			for (const name of this.getMembers(className)) {
+				for (const attr of this.getAttributes(name)) {
+					if (attributes.indexOf(attr) < 0) {
+						attributes.push(attr);
+					}
+				}
+			}
+			return attributes;
+		}
+		if (this.isWeaponType(className)) {
+			return this.isRangedType(className) ? ["level", "rate", "atk", "dpt", "range"] : ["level", "rate", "atk", "dpt"];
+		}
+		if (this.isArmorType(className)) {
+			return ["level", "def"];
+		}
+		if (this.isProjectileType(className)) {
+			return ["level", "atk", "range"];
+		}
+		if (this.isConsumableType(className)) {
+			return ["value", "heal", "healrate", "turns", "healvalue", "immunity"];
+		}
+		if (className === "money") {
+			return ["value"];
+		}
+		return [];
+	}
+};
+
+/**
+ * Helper utility function.
+ */
+const util = {
+	/**
+	 * Converts a value to number.
+	 *
+	 * @param {string} value
+	 *   String value.
+	 * @param {number} def
+	 *   Default value if number cannot be parsed.
+	 * @returns {number}
+	 *   Parsed number value.
+	 */
+	parseNumberDefault(value, def) {
+		const res = Number.parseFloat(value);
+		if (Number.isNaN(res) || !Number.isFinite(res)) {
+			return def;
+		}
+		return res;
+	},
+
+	/**
+	 * Ensures LF line endings in content.
+	 *
+	 * @param {string} content
+	 *   Fetched text content.
+	 * @returns {string}
+	 *   Normalized text content.
+	 */
+	normalize(content) {
+		return content.replaceAll("\r\n", "\n").replaceAll("\r", "\n");
+	},
+
+	/**
+	 * Shortens formatted entries to first entry & number of others.
+	 *
+	 * @param {string[]} entries
+	 *   Formatted entries, best first.
+	 * @returns {string}
+	 *   Summary such as "wolf (level 5, 5%, 1-2) +3 more".
+	 */
+	summarize(entries) {
+		if (entries.length < 2) {
+			return entries.join("");
+		}
+		return entries[0] + " +" + (entries.length - 1) + " more";
+	}
+};
+
+/**
+ * Structured special effects of items.
+ *
+ * Each effect is an object with a `kind` property & optional `type` & `value` properties, e.g.
+ * `{kind: "resist", type: "poisoned", value: 10}`.
+ */
+const effects = {
+	/** Effect kinds in display & sorting order. */
+	kinds: ["damagetype", "statusattack", "resist", "susceptibility", "lifesteal", "atk", "def", "range",
+			"heal", "hurt", "regen", "frequency", "cure", "immunity"],
+
+	/**
+	 * Creates an effect.
+	 *
+	 * @param {string} kind
+	 *   Effect kind.
+	 * @param {string} [type=undefined]
+	 *   Damage, status or resistance type.
+	 * @param {number} [value=undefined]
+	 *   Effect amount.
+	 * @returns {object}
+	 *   Effect object.
+	 */
+	create(kind, type=undefined, value=undefined) {
+		const effect = {kind: kind};
+		if (typeof(type) !== "undefined") {
+			effect.type = type;
+		}
+		if (typeof(value) !== "undefined") {
+			effect.value = value;
+		}
+		return effect;
+	},
+
+	/**
+	 * Formats a signed percentage.
+	 *
+	 * @param {number} value
+	 *   Percentage value.
+	 * @returns {string}
+	 *   Formatted value.
+	 */
+	formatPercent(value) {
+		return (value > 0 ? "+" : "") + value + "%";
+	},
+
+	/**
+	 * Converts an effect to display text.
+	 *
+	 * @param {object} effect
+	 *   Effect object.
+	 * @returns {string}
+	 *   Formatted effect.
+	 */
+	format(effect) {
+		switch (effect.kind) {
+			case "damagetype":
+			case "statusattack":
+				return effect.type;
+			case "resist":
+				return "resist " + effect.type + " (" + this.formatPercent(effect.value) + ")";
+			case "susceptibility":
+				return effect.type + " (" + this.formatPercent(effect.value) + ")";
+			case "lifesteal":
+				return "lifesteal (" + this.formatPercent(effect.value) + ")";
+			case "cure":
+				return "cure (" + effect.type + ")";
+			case "immunity":
+				return "immunity duration (" + effect.value + ")";
+			default:
+				return effect.kind + " (" + effect.value + ")";
+		}
+	},
+
+	/**
+	 * Converts a list of effects to display text.
+	 *
+	 * @param {object[]} list
+	 *   Effect objects.
+	 * @returns {string[]}
+	 *   Formatted effects.
+	 */
+	formatList(list) {
+		return list.map((effect) => this.format(effect));
+	},
+
+	/**
+	 * Compares two effects for sorting.
+	 *
+	 * Effects are ordered by kind, then type, then value.
+	 *
+	 * @param {object} effectA
+	 *   First effect.
+	 * @param {object} effectB
+	 *   Second effect.
+	 * @returns {number}
+	 *   Negative if `effectA` comes first, positive if `effectB` comes first, otherwise 0.
+	 */
+	compare(effectA, effectB) {
+		const kindDiff = this.kinds.indexOf(effectA.kind) - this.kinds.indexOf(effectB.kind);
+		if (kindDiff !== 0) {
+			return kindDiff;
+		}
+		const typeA = effectA.type || "";
+		const typeB = effectB.type || "";
+		if (typeA !== typeB) {
+			return typeA < typeB ? -1 : 1;
+		}
+		return (effectA.value || 0) - (effectB.value || 0);
+	},
+
+	/**
+	 * Compares two lists of effects for sorting.
+	 *
+	 * @param {object[]} listA
+	 *   First list.
+	 * @param {object[]} listB
+	 *   Second list.
+	 * @returns {number}
+	 *   Negative if `listA` comes first, positive if `listB` comes first, otherwise 0.
+	 */
+	compareLists(listA, listB) {
+		const count = Math.min(listA.length, listB.length);
+		for (let idx = 0; idx < count; idx++) {
+			const res = this.compare(listA[idx], listB[idx]);
+			if (res !== 0) {
+				return res;
+			}
+		}
+		return listA.length - listB.length;
+	},
+
+	/**
+	 * Checks if two effects are the same.
+	 *
+	 * @param {object} effectA
+	 *   First effect.
+	 * @param {object} effectB
+	 *   Second effect.
+	 * @returns {boolean}
+	 *   `true` if kind, type & value are equal.
+	 */
+	isEqual(effectA, effectB) {
+		return effectA.kind === effectB.kind && effectA.type === effectB.type && effectA.value === effectB.value;
+	}
+};
+
+/**
+ * NPC shop offers of items.
+ *
+ * Each offer is an object with `npc` & `price` properties, e.g. `{npc: "Margaret", price: 10}`.
+ */
+const offers = {
+	/**
+	 * Converts an offer to display text.
+	 *
+	 * @param {object} offer
+	 *   Offer object.
+	 * @returns {string}
+	 *   Formatted offer.
+	 */
+	format(offer) {
+		return offer.npc + " (" + offer.price + ")";
+	},
+
+	/**
+	 * Converts a list of offers to display text.
+	 *
+	 * @param {object[]} [list=[]]
+	 *   Offer objects.
+	 * @returns {string[]}
+	 *   Formatted offers.
+	 */
+	formatList(list=[]) {
+		return list.map((offer) => this.format(offer));
+	},
+
+	/**
+	 * Adds shop offers to items.
+	 *
+	 * Sets `buy` & `sell` lists of each item. Items not traded by any NPC get empty lists.
+	 *
+	 * @param {object[]} items
+	 *   Item definitions.
+	 * @param {object} prices
+	 *   Offers keyed by item name as returned by `parser.parseShops`.
+	 */
+	apply(items, prices) {
+		for (const item of items) {
+			const entry = Object.prototype.hasOwnProperty.call(prices, item.name) ? prices[item.name] : undefined;
+			item.buy = entry ? entry.buy : [];
+			item.sell = entry ? entry.sell : [];
+		}
+	}
+};
+
+/**
+ * Creatures dropping items.
+ *
+ * Each drop source is an object with `creature`, `level`, `chance`, `min` & `max` properties, e.g.
+ * `{creature: "rat", level: 0, chance: 2.5, min: 1, max: 1}`.
+ */
+const drops = {
+	/**
+	 * Converts a drop source to display text.
+	 *
+	 * @param {object} drop
+	 *   Drop source object.
+	 * @returns {string}
+	 *   Formatted drop source.
+	 */
+	format(drop) {
+		const quantity = drop.min === drop.max ? "" + drop.min : drop.min + "-" + drop.max;
+		return drop.creature + " (level " + drop.level + ", " + drop.chance + "%, " + quantity + ")";
+	},
+
+	/**
+	 * Converts a list of drop sources to display text.
+	 *
+	 * @param {object[]} [list=[]]
+	 *   Drop source objects.
+	 * @returns {string[]}
+	 *   Formatted drop sources.
+	 */
+	formatList(list=[]) {
+		return list.map((drop) => this.format(drop));
+	},
+
+	/**
+	 * Indexes drops of creatures by item.
+	 *
+	 * @param {object[]} creatures
+	 *   Creatures as returned by `parser.parseCreatures`.
+	 * @returns {object}
+	 *   Drop sources keyed by item name, ordered by best chance.
+	 */
+	index(creatures) {
+		const sources = {};
+		for (const creature of creatures) {
+			for (const drop of creature.drops) {
+				if (!Object.prototype.hasOwnProperty.call(sources, drop.item)) {
+					sources[drop.item] = [];
+				}
+				sources[drop.item].push({creature: creature.name, level: creature.level, chance: drop.chance,
+						min: drop.min, max: drop.max});
+			}
+		}
+		for (const name in sources) {
+			sources[name].sort((a, b) => b.chance - a.chance || a.level - b.level
+					|| (a.creature < b.creature ? -1 : (a.creature > b.creature ? 1 : 0)));
+		}
+		return sources;
+	},
+
+	/**
+	 * Adds drop sources to items.
+	 *
+	 * Sets `drops` list & best drop chance (`dropchance`) of each item. Items not dropped by any
+	 * creature get an empty list & a chance that is not a number.
+	 *
+	 * @param {object[]} items
+	 *   Item definitions.
+	 * @param {object} sources
+	 *   Drop sources keyed by item name as returned by `drops.index`.
+	 */
+	apply(items, sources) {
+		for (const item of items) {
+			item.drops = Object.prototype.hasOwnProperty.call(sources, item.name) ? sources[item.name] : [];
+			item.dropchance = item.drops.length > 0 ? item.drops[0].chance : NaN;
+		}
+	}
+};
+
+/**
+ * Ranged weapons combined with ammunition.
+ */
+const combinations = {
+	/**
+	 * Combines a ranged weapon with ammunition.
+	 *
+	 * ATK & range of both add up & DPT is based on the weapon's rate. A damage type of the
+	 * ammunition replaces that of the weapon.
+	 *
+	 * @param {object} weapon
+	 *   Ranged weapon definition.
+	 * @param {object} ammo
+	 *   Ammunition definition.
+	 * @returns {object}
+	 *   Combination with item attributes & names of weapon (`weapon`) & ammunition (`ammo`).
+	 */
+	combine(weapon, ammo) {
+		let special = weapon.special;
+		if (ammo.special.some((effect) => effect.kind === "damagetype")) {
+			special = special.filter((effect) => effect.kind !== "damagetype");
+		}
+		for (const effect of ammo.special) {
+			if (!special.some((e) => effects.isEqual(e, effect))) {
+				special = special.concat([effect]);
+			}
+		}
+		const atk = weapon.atk + ammo.atk;
+		return {
+			name: weapon.name + " + " + ammo.name,
+			weapon: weapon.name,
+			ammo: ammo.name,
+			weaponItem: weapon,
+			ammoItem: ammo,
+			level: Math.max(weapon.level, ammo.level),
+			rate: weapon.rate,
+			atk: atk,
+			dpt: Math.round((atk / weapon.rate) * 100) / 100,
+			range: weapon.range + ammo.range,
+			special: special
+		};
+	},
+
+	/**
+	 * Builds all combinations of ranged weapons & ammunition.
+	 *
+	 * @param {object[]} weapons
+	 *   Ranged weapon definitions.
+	 * @param {object[]} ammunition
+	 *   Ammunition definitions.
+	 * @returns {object[]}
+	 *   Combinations ordered by weapon, then ammunition.
+	 */
+	build(weapons, ammunition) {
+		const res = [];
+		for (const weapon of weapons) {
+			for (const ammo of ammunition) {
+				res.push(this.combine(weapon, ammo));
+			}
+		}
+		return res;
+	}
+};
+
+/**
+ * XML parsing independent of browser environment.
+ */
+const xml = {
+	/**
+	 * DOMParser implementation.
+	 *
+	 * Outside of browsers this must be set to a compatible implementation such as the one from
+	 * `@xmldom/xmldom`.
+	 */
+	DOMParser: typeof(DOMParser) !== "undefined" ? DOMParser : undefined,
+
+	/**
+	 * Parses XML text.
+	 *
+	 * @param {string} content
+	 *   XML text.
+	 * @returns {Document}
+	 *   Parsed document.
+	 * @throws {Error}
+	 *   If content is not well-formed XML.
+	 */
+	parse(content) {
+		if (typeof(this.DOMParser) === "undefined") {
+			throw new Error("No DOMParser implementation available");
+		}
+		const errors = [];
+		let doc;
+		try {
+			// error handler option is only used by non-browser implementations
+			doc = new this.DOMParser({
+				onError: (level, msg) => {
+					if (level !== "warning") {
+						errors.push(msg);
+					}
+				}
+			}).parseFromString(content, "text/xml");
+		} catch (e) {
+			throw new Error("Invalid XML: " + e.message.split("\n")[0]);
+		}
+		// browsers report errors in document instead of throwing
+		const parseError = doc.getElementsByTagName("parsererror")[0];
+		if (parseError) {
+			errors.push(parseError.textContent.trim().split("\n")[0]);
+		}
+		if (errors.length > 0 || !doc.documentElement) {
+			throw new Error("Invalid XML: " + (errors[0] || "missing root element"));
+		}
+		return doc;
+	},
+
+	/**
+	 * Retrieves child elements of an element.
+	 *
+	 * @param {Element} element
+	 *   Parent element.
+	 * @returns {Element[]}
+	 *   Child elements excluding text & comment nodes.
+	 */
+	children(element) {
+		return Array.from(element.childNodes).filter((node) => node.nodeType === 1);
+	}
+};
+
+/**
+ * Utility object for type conversion/parsing.
+ *
+ * Independent of browser DOM & page state so it can be used from Node.js.
+ */
+const parser = {
+	/**
+	 * Parses number value from item attributes list.
+	 *
+	 * @param {Element|undefined} attributes
+	 *   Item attributes.
+	 * @param {string} name
+	 *   Attribute name.
+	 * @param {number} [def=0]
+	 *   Default value if attribute is not set.
+	 * @returns {number}
+	 *   Parsed number value.
+	 */
+	numberAttribute(attributes, name, def=0) {
+		if (!attributes) {
+			return def;
+		}
+		const element = attributes.getElementsByTagName(name)[0];
+		if (!element) {
+			return def;
+		}
+		const value = element.getAttribute("value");
+		return util.parseNumberDefault(value, def);
+	},
+
+	/**
+	 * Parses string value from item attributes list.
+	 *
+	 * @param {Element|undefined} attributes
+	 *   Item attributes.
+	 * @param {string} name
+	 *   Attribute name.
+	 * @return {string|undefined}
+	 *   Parsed string value or `undefined`.
+	 */
+	stringAttribute(attributes, name) {
+		if (!attributes) {
+			return undefined;
+		}
+		const element = attributes.getElementsByTagName(name)[0];
+		if (!element) {
+			return undefined;
+		}
+		return element.getAttribute("value");
+	},
+
+	/**
+	 * Parses current release version string from fetched properties file.
+	 *
+	 * @param {string} content
+	 *   Properties file text contents.
+	 * @param {string} [key="version.old"]
+	 *   Property name. "version" denotes unreleased version in development.
+	 * @returns {string|undefined}
+	 *   Version string or `undefined` if not found.
+	 */
+	parseVersionString(content, key="version.old") {
+		let versionString;
+		content = util.normalize(content);
+		for (const li of content.split("\n")) {
+			const idx = li.indexOf("=");
+			if (idx > -1 && li.substring(0, idx).trim() === key) {
+				versionString = li.substring(idx + 1).trim();
+			}
+		}
+		return versionString;
+	},
+
+	/**
+	 * Parses version from version string.
+	 *
+	 * @param {string} versionString
+	 *   Dot-separated version string.
+	 * @returns {number[]}
+	 *   Version numbers.
+	 */
+	parseVersion(versionString) {
+		const version = [];
+		for (const v of versionString.split(".")) {
+			version.push(Number.parseInt(v, 10));
+		}
+		return version;
+	},
+
+	/**
+	 * Retrieves branch URL slug for a version.
+	 *
+	 * @param {number[]} version
+	 *   Parsed version.
+	 * @returns {string}
+	 *   Release branch name.
+	 */
+	getBranchName(version) {
+		return "VERSION_" + ("0"+version[0]).slice(-2) + "_RELEASE_" + version[1];
+	},
+
+	/**
+	 * Parses names of group files listed in a config index file.
+	 *
+	 * @param {string} content
+	 *   Index XML config data (e.g. items.xml).
+	 * @param {string} dir
+	 *   Directory containing group files.
+	 * @returns {string[]}
+	 *   Group names without directory & file extension.
+	 */
+	parseGroupNames(content, dir) {
+		content = util.normalize(content);
+		const names = [];
+		const prefix = "<group uri=\"" + dir + "/";
+		for (let li of content.split("\n")) {
+			li = li.replace(/^\t/, "");
+			if (li.startsWith(prefix)) {
+				names.push(li.substring(prefix.length).replace(/\.xml.*$/, ""));
+			}
+		}
+		return names;
+	},
+
+	/**
+	 * Parses item classes from fetched data.
+	 *
+	 * @param {string} content
+	 *   Items XML config data.
+	 * @returns {string[]}
+	 *   Class names excluding ignored classes.
+	 */
+	parseClassNames(content) {
+		const classNames = [];
+		for (const className of this.parseGroupNames(content, "items")) {
+			if (classes.excludes.indexOf(className) < 0) {
+				classNames.push(className);
+			}
+		}
+		return classNames;
+	},
+
+	/**
+	 * Parses creatures info from fetched content.
+	 *
+	 * @param {string} content
+	 *   Fetched creatures XML data.
+	 * @param {object[]} [creatures=[]]
+	 *   List to which parsed creatures are added.
+	 * @returns {object[]}
+	 *   List of parsed creatures.
+	 */
+	parseCreatures(content, creatures=[]) {
+		const doc = xml.parse(content);
+		const elements = doc.getElementsByTagName("creature");
+		for (let idx = 0; idx < elements.length; idx++) {
+			const creatureData = elements[idx];
+			const typeInfo = creatureData.getElementsByTagName("type")[0];
+			const attributes = creatureData.getElementsByTagName("attributes")[0];
+			const creature = {
+				name: creatureData.getAttribute("name"),
+				class: typeInfo.getAttribute("class"),
+				image: typeInfo.getAttribute("subclass"),
+				level: this.numberAttribute(creatureData, "level"),
+				hp: this.numberAttribute(attributes, "hp"),
+				atk: this.numberAttribute(attributes, "atk"),
+				def: this.numberAttribute(attributes, "def"),
+				rate: this.numberAttribute(attributes, "rate"),
+				xp: this.numberAttribute(creatureData, "experience"),
+				susceptibility: {},
+				special: [],
+				drops: this.parseDrops(creatureData)
+			};
+			for (const sus of Array.from(creatureData.getElementsByTagName("susceptibility"))) {
+				const value = util.parseNumberDefault(sus.getAttribute("value"), 1);
+				creature.susceptibility[sus.getAttribute("type")] = value;
+				// formatted like susceptibilities of items
+				const percent = Math.round(value * 1000) / 10;
+				if (percent !== 100) {
+					creature.special.push(effects.create("susceptibility", sus.getAttribute("type"), 100 - percent));
+				}
+			}
+			creatures.push(creature);
+		}
+		return creatures;
+	},
+
+	/**
+	 * Parses items dropped by a creature.
+	 *
+	 * @param {Element} creatureData
+	 *   Creature XML element.
+	 * @returns {object[]}
+	 *   Drops with item name (`item`), probability percentage (`chance`) & quantity range (`min` &
+	 *   `max`).
+	 */
+	parseDrops(creatureData) {
+		const res = [];
+		const dropsData = creatureData.getElementsByTagName("drops")[0];
+		if (!dropsData) {
+			return res;
+		}
+		for (const drop of Array.from(dropsData.getElementsByTagName("item"))) {
+			// quantity is formatted as "[min,max]"
+			const quantity = (drop.getAttribute("quantity") || "").replace(/[[\]\s]/g, "").split(",");
+			const min = util.parseNumberDefault(quantity[0], 1);
+			res.push({
+				item: drop.getAttribute("value"),
+				chance: util.parseNumberDefault(drop.getAttribute("probability"), 0),
+				min: min,
+				max: util.parseNumberDefault(quantity[1], min)
+			});
+		}
+		return res;
+	},
+
+	/**
+	 * Parses NPC shop prices from fetched content.
+	 *
+	 * Players buy items from shops of type "sell" & sell items to shops of type "buy". Other shop
+	 * types, such as outfit shops, are ignored.
+	 *
+	 * @param {string} content
+	 *   Fetched shops XML data.
+	 * @param {object} [prices={}]
+	 *   Object to which offers are added.
+	 * @returns {object}
+	 *   Offers keyed by item name. Each entry has a `buy` list of NPCs selling the item & a `sell`
+	 *   list of NPCs buying it, ordered by best price for players.
+	 */
+	parseShops(content, prices={}) {
+		const doc = xml.parse(content);
+		const elements = doc.getElementsByTagName("shop");
+		for (let idx = 0; idx < elements.length; idx++) {
+			const shopData = elements[idx];
+			const type = shopData.getAttribute("type");
+			if (type !== "sell" && type !== "buy") {
+				continue;
+			}
+			const key = type === "sell" ? "buy" : "sell";
+			const npcs = Array.from(shopData.getElementsByTagName("merchant")).map((m) => m.getAttribute("name"));
+			for (const offer of Array.from(shopData.getElementsByTagName("item"))) {
+				const name = offer.getAttribute("name");
+				const price = util.parseNumberDefault(offer.getAttribute("price"), NaN);
+				if (Number.isNaN(price)) {
+					continue;
+				}
+				if (!Object.prototype.hasOwnProperty.call(prices, name)) {
+					prices[name] = {buy: [], sell: []};
+				}
+				for (const npc of npcs) {
+					prices[name][key].push({npc: npc, price: price});
+				}
+			}
+		}
+		for (const name in prices) {
+			// cheapest seller & highest bidder first
+			prices[name].buy.sort((a, b) => a.price - b.price || (a.npc < b.npc ? -1 : (a.npc > b.npc ? 1 : 0)));
+			prices[name].sell.sort((a, b) => b.price - a.price || (a.npc < b.npc ? -1 : (a.npc > b.npc ? 1 : 0)));
+		}
+		return prices;
+	},
+
+	/**
+	 * Parses complete item definition.
+	 *
+	 * @param {Element} itemData
+	 *   Item XML element.
+	 * @returns {object}
+	 *   Item details.
+	 */
+	parseDetails(itemData) {
+		const res = {
+			description: "",
+			attributes: [],
+			resistances: [],
+			susceptibilities: [],
+			unattainable: false,
+			other: []
+		};
+		for (const child of xml.children(itemData)) {
+			if (child.tagName === "description") {
+				res.description = child.textContent.trim();
+			} else if (child.tagName === "attributes") {
+				for (const attr of xml.children(child)) {
+					res.attributes.push({name: attr.tagName, value: attr.getAttribute("value")});
+				}
+			} else if (child.tagName === "statusresist") {
+				res.resistances.push({type: child.getAttribute("type"), value: child.getAttribute("value")});
+			} else if (child.tagName === "susceptibility") {
+				res.susceptibilities.push({type: child.getAttribute("type"), value: child.getAttribute("value")});
+			} else if (child.tagName === "unattainable") {
+				res.unattainable = true;
+			} else {
+				res.other.push(this.parseElement(child));
+			}
+		}
+		return res;
+	},
+
+	/**
+	 * Converts an XML element to a plain object.
+	 *
+	 * @param {Element} element
+	 *   XML element.
+	 * @returns {object}
+	 *   Object with `tag`, `attributes`, `text` & `children` properties.
+	 */
+	parseElement(element) {
+		const res = {
+			tag: element.tagName,
+			attributes: {},
+			text: "",
+			children: []
+		};
+		for (const attr of Array.from(element.attributes)) {
+			res.attributes[attr.name] = attr.value;
+		}
+		for (const child of xml.children(element)) {
+			res.children.push(this.parseElement(child));
+		}
+		if (res.children.length === 0) {
+			res.text = element.textContent.trim();
+		}
+		return res;
+	},
+
+	/**
+	 * Parses & loads items info from fetched content.
+	 *
+	 * @param {string} content
+	 *   Fetched items XML data.
+	 * @param {object[]} [items=[]]
+	 *   List to which parsed items are added.
+	 * @param {string} [className=""]
+	 *   Class or group name determining which attributes are listed as special.
+	 * @param {boolean} [showUnattainable=false]
+	 *   If `true`, items marked as unattainable are included.
+	 * @returns {object[]}
+	 *   List of parsed items.
+	 */
+	parseItems(content, items=[], className="", showUnattainable=false) {
+		const doc = xml.parse(content);
+		const elements = doc.getElementsByTagName("item");
+		for (let idx = 0; idx < elements.length; idx++) {
+			const itemData = elements[idx];
+			const typeInfo = itemData.getElementsByTagName("type")[0];
+			const valueInfo = itemData.getElementsByTagName("value")[0];
+			const attributes = itemData.getElementsByTagName("attributes")[0];
+			let item = {
+				name: itemData.getAttribute("name"),
+				class: typeInfo.getAttribute("class"),
+				image: typeInfo.getAttribute("subclass"),
+				value: valueInfo ? valueInfo.getAttribute("value") : "0",
+				level: this.numberAttribute(attributes, "min_level"),
+				rate: this.numberAttribute(attributes, "rate"),
+				atk: this.numberAttribute(attributes, "atk"),
+				def: this.numberAttribute(attributes, "def"),
+				range: this.numberAttribute(attributes, "range"),
+				details: this.parseDetails(itemData)
+			};
+
+			let lrSword;
+			if (item.name === "l hand sword") {
+				lrSword = this.pop("r hand sword", items);
+			} else if (item.name === "r hand sword") {
+				lrSword = this.pop("l hand sword", items);
+			}
+			if (lrSword) {
+				// update name since both detected
+				lrSword.name = "l/r hand swords";
+				// atk & def are combined when used together
+				lrSword.atk += item.atk;
+				lrSword.def += item.def;
+				item = lrSword;
+			}
+
+			item.dpt = Math.round((item.atk / item.rate) * 100) / 100;
+			item.special = [];
+			const nature = this.stringAttribute(attributes, "damagetype");
+			if (typeof(nature) !== "undefined") {
+				item.special.push(effects.create("damagetype", nature));
+			}
+			const statusAttack = this.stringAttribute(attributes, "statusattack");
+			if (typeof(statusAttack) !== "undefined") {
+				let status = statusAttack;
+				if (statusAttack.includes("poison") || statusAttack.includes("venom")) {
+					status = "poison";
+				} else if (statusAttack.includes(",")) {
+					status = statusAttack.split(",")[1];
+				}
+				item.special.push(effects.create("statusattack", status));
+			}
+			for (const res of Array.from(itemData.getElementsByTagName("statusresist"))) {
+				let value = Math.round(util.parseNumberDefault(res.getAttribute("value"), 0) * 1000) / 10;
+				if (value != 0) {
+					item.special.push(effects.create("resist", res.getAttribute("type"), value));
+				}
+			}
+			for (const sus of Array.from(itemData.getElementsByTagName("susceptibility"))) {
+				let value = Math.round(util.parseNumberDefault(sus.getAttribute("value"), 1) * 1000) / 10;
+				if (value !== 100) {
+					// susceptibilities are inverse
+					value = 100 - value;
+					item.special.push(effects.create("susceptibility", sus.getAttribute("type"), value));
+				}
+			}
+			const lifesteal = this.numberAttribute(attributes, "lifesteal") * 100;
+			if (lifesteal !== 0) {
+				item.special.push(effects.create("lifesteal", undefined, lifesteal));
+			}
+			if (!classes.isWeaponType(className) && !classes.isProjectileType(className)
+					&& item.atk !== 0) {
+				item.special.push(effects.create("atk", undefined, item.atk));
+			}
+			if (!classes.isArmorType(className) && item.def !== 0) {
+				item.special.push(effects.create("def", undefined, item.def));
+			}
+			if (!classes.isRangedType(className) && !classes.isProjectileType(className)
+					&& item.range !== 0) {
+				item.special.push(effects.create("range", undefined, item.range));
+			}
+			if (classes.isConsumableType(className)) {
+				// computed columns are not a number unless applicable
+				Object.assign(item, {heal: NaN, healrate: NaN, turns: NaN, healvalue: NaN, immunity: NaN});
+				const consumeAmount = this.numberAttribute(attributes, "amount");
+				if (consumeAmount !== 0) {
+					const cures = this.stringAttribute(attributes, "immunization");
+					if (cures) {
+						item.special.push(effects.create("cure", cures));
+						item.special.push(effects.create("immunity", undefined, consumeAmount));
+						item.immunity = consumeAmount;
+					} else {
+						const regenType = consumeAmount > 0 ? "heal" : "hurt";
+						const regen = this.numberAttribute(attributes, "regen");
+						const frequency = this.numberAttribute(attributes, "frequency");
+						item.special.push(effects.create(regenType, undefined, consumeAmount));
+						if (frequency !== 1 || regen !== consumeAmount) {
+							item.special.push(effects.create("regen", undefined, regen));
+							item.special.push(effects.create("frequency", undefined, frequency));
+						}
+						Object.assign(item, this.getConsumption(consumeAmount, regen, frequency, item.value));
+					}
+				}
+			}
+
+			const unattainable = itemData.getElementsByTagName("unattainable").length > 0;
+			if (unattainable && !showUnattainable) {
+				// don't add to list
+				continue;
+			}
+
+			items.push(item);
+		}
+		return items;
+	},
+
+	/**
+	 * Computes how a healing or hurting consumable takes effect.
+	 *
+	 * Consumables restore `regen` HP every `frequency` turns until `amount` is used up. Values of
+	 * hurting consumables are negative.
+	 *
+	 * @param {number} amount
+	 *   Total HP restored.
+	 * @param {number} regen
+	 *   HP restored per step.
+	 * @param {number} frequency
+	 *   Turns between steps.
+	 * @param {string|number} value
+	 *   Item value in money.
+	 * @returns {object}
+	 *   Total heal (`heal`), heal per turn (`healrate`), turns to fully consume (`turns`) & heal
+	 *   per gold of value (`healvalue`). Values that cannot be computed are `NaN`.
+	 */
+	getConsumption(amount, regen, frequency, value) {
+		const res = {heal: amount, healrate: NaN, turns: NaN, healvalue: NaN};
+		if (regen !== 0 && frequency > 0) {
+			res.healrate = Math.round((regen / frequency) * 100) / 100;
+			res.turns = Math.ceil(Math.abs(amount / regen)) * frequency;
+		}
+		const price = util.parseNumberDefault(value, 0);
+		if (price > 0) {
+			res.healvalue = Math.round((amount / price) * 100) / 100;
+		}
+		return res;
+	},
+
+	/**
+	 * Retrieves an item definition & removes it from item list.
+	 *
+	 * @param {string} name
+	 *   Item name.
+	 * @param {object[]} items
+	 *   List from which item is removed.
+	 * @returns {object|undefined}
+	 *   Item definition or `undefined`.
+	 */
+	pop(name, items) {
+		const res = {idx: -1, item: undefined};
+		for (let idx = 0; idx < items.length; idx++) {
+			const item = items[idx];
+			if (item.name === name) {
+				res.idx = idx;
+				res.item = item;
+				break;
+			}
+		}
+		if (res.idx > -1) {
+			items.splice(res.idx, 1);
+		}
+		return res.item;
+	}
+};
+
+/**
+ * Item list sorting.
+ */
+const sorter = {
+	/** Comparison type of attributes. Attributes not listed are compared as strings. */
+	types: {
+		value: "number",
+		level: "number",
+		rate: "number",
+		atk: "number",
+		dpt: "number",
+		def: "number",
+		range: "number",
+		heal: "number",
+		healrate: "number",
+		turns: "number",
+		healvalue: "number",
+		immunity: "number",
+		hp: "number",
+		xp: "number",
+		buy: "offers",
+		sell: "offers",
+		drops: "drops",
+		dropchance: "number",
+		special: "effects"
+	},
+	/** Attributes compared after sort keys so that order of equal items is deterministic. */
+	tieBreakers: ["name", "class", "image"],
+
+	/**
+	 * Parses sort specification.
+	 *
+	 * @param {string} value
+	 *   Comma-separated attribute names in order of precedence. Names prefixed with "-" are
+	 *   sorted in descending order (e.g. "level,-dpt,name").
+	 * @param {boolean} [descending=false]
+	 *   If `true`, a single attribute is sorted in descending order.
+	 * @returns {object[]}
+	 *   Sort keys with `key` & `descending` properties.
+	 */
+	parseSpec(value, descending=false) {
+		const spec = [];
+		for (let key of (value || "").split(",")) {
+			key = key.trim();
+			let desc = false;
+			if (key.startsWith("-")) {
+				desc = true;
+				key = key.substring(1);
+			}
+			if (key.length > 0 && !spec.some((sk) => sk.key === key)) {
+				spec.push({key: key, descending: desc});
+			}
+		}
+		if (descending && spec.length === 1) {
+			spec[0].descending = true;
+		}
+		return spec;
+	},
+
+	/**
+	 * Formats sort specification.
+	 *
+	 * @param {object[]} spec
+	 *   Sort keys with `key` & `descending` properties.
+	 * @returns {string}
+	 *   Comma-separated attribute names.
+	 */
+	formatSpec(spec) {
+		return spec.map((sk) => (sk.descending ? "-" : "") + sk.key).join(",");
+	},
+
+	/**
+	 * Checks if an attribute value cannot be compared.
+	 *
+	 * @param {any} value
+	 *   Attribute value.
+	 * @param {string} sortBy
+	 *   Attribute name.
+	 * @returns {boolean}
+	 *   `true` if a numeric attribute is not a number (e.g. DPT of a weapon without ATK & rate) or
+	 *   an item has no shop offers or drop sources.
+	 */
+	isMissing(value, sortBy) {
+		if (this.types[sortBy] === "offers" || this.types[sortBy] === "drops") {
+			return !value || value.length === 0;
+		}
+		return this.types[sortBy] === "number" && Number.isNaN(Number(value));
+	},
+
+	/**
+	 * Compares an attribute of two items.
+	 *
+	 * Values missing from numeric attributes come after all numbers.
+	 *
+	 * @param {object} objA
+	 *   First item.
+	 * @param {object} objB
+	 *   Second item.
+	 * @param {string} sortBy
+	 *   Attribute name.
+	 * @returns {number}
+	 *   Negative if `objA` comes first, positive if `objB` comes first, otherwise 0.
+	 */
+	compare(objA, objB, sortBy) {
+		let valueA = objA[sortBy];
+		let valueB = objB[sortBy];
+		const type = this.types[sortBy];
+		if (type === "effects") {
+			return effects.compareLists(valueA || [], valueB || []);
+		}
+		if (type === "number" || type === "offers" || type === "drops") {
+			const missingA = this.isMissing(valueA, sortBy);
+			const missingB = this.isMissing(valueB, sortBy);
+			if (missingA || missingB) {
+				return missingA === missingB ? 0 : (missingA ? 1 : -1);
+			}
+			if (type === "offers") {
+				// compared by best price
+				valueA = valueA[0].price;
+				valueB = valueB[0].price;
+			} else if (type === "drops") {
+				// compared by best chance
+				valueA = valueA[0].chance;
+				valueB = valueB[0].chance;
+			}
+			// Infinity is compared like any other number
+			valueA = Number(valueA);
+			valueB = Number(valueB);
+		} else {
+			valueA = typeof(valueA) === "undefined" ? "" : "" + valueA;
+			valueB = typeof(valueB) === "undefined" ? "" : "" + valueB;
+		}
+		if (valueA < valueB) {
+			return -1;
+		}
+		if (valueA > valueB) {
+			return 1;
+		}
+		return 0;
+	},
+
+	/**
+	 * Sorts a list of items.
+	 *
+	 * @param {object[]} items
+	 *   Items to sort in place.
+	 * @param {string|object[]} sortBy
+	 *   Sort specification string or keys as returned by `sorter.parseSpec`.
+	 * @param {boolean} [descending=false]
+	 *   If `true`, a single attribute is sorted in descending order.
+	 * @returns {object[]}
+	 *   Sorted list.
+	 */
+	sort(items, sortBy, descending=false) {
+		const spec = Array.isArray(sortBy) ? sortBy : this.parseSpec(sortBy, descending);
+		const keys = spec.slice();
+		for (const key of this.tieBreakers) {
+			if (!keys.some((sk) => sk.key === key)) {
+				keys.push({key: key, descending: false});
+			}
+		}
+		return items.sort((objA, objB) => {
+			for (const sk of keys) {
+				const res = this.compare(objA, objB, sk.key);
+				if (res === 0) {
+					continue;
+				}
+				// missing values stay last regardless of direction
+				if (this.isMissing(objA[sk.key], sk.key) || this.isMissing(objB[sk.key], sk.key)) {
+					return res;
+				}
+				return sk.descending ? -res : res;
+			}
+			return 0;
+		});
+	}
+};
+
+// export for use in Node.js
+if (typeof(module) !== "undefined" && module.exports) {
+	module.exports = {repoPrefix, tagsUrl, versions, classes, util, effects, offers, drops, combinations, xml,
+			parser, sorter};
+}
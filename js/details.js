@@ -0,0 +1,225 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Panel displaying complete definition of a selected item.
+ */
+const details = {
+	/** Item currently displayed. */
+	item: undefined,
+
+	/**
+	 * Creates a table element.
+	 *
+	 * @param {string} caption
+	 *   Table caption.
+	 * @param {string[]} headers
+	 *   Column headers.
+	 * @param {Array<Array<string|number>>} rows
+	 *   Cell values.
+	 * @returns {HTMLTableElement}
+	 *   Table element.
+	 */
+	createTable(caption, headers, rows) {
+		const table = document.createElement("table");
+		table.createCaption().innerText = caption;
+		const headerRow = table.createTHead().insertRow();
+		for (const header of headers) {
+			const th = document.createElement("th");
+			th.innerText = header;
+			headerRow.appendChild(th);
+		}
+		const body = table.createTBody();
+		for (const row of rows) {
+			const tr = body.insertRow();
+			for (const value of row) {
+				tr.insertCell().innerText = "" + value;
+			}
+		}
+		return table;
+	},
+
+	/**
+	 * Creates a nested list representing XML elements.
+	 *
+	 * @param {object[]} elements
+	 *   Elements parsed with `parser.parseElement`.
+	 * @returns {HTMLUListElement}
+	 *   List element.
+	 */
+	createElementList(elements) {
+		const list = document.createElement("ul");
+		for (const element of elements) {
+			const li = document.createElement("li");
+			let text = element.tag;
+			const attributes = [];
+			for (const name in element.attributes) {
+				attributes.push(name + "=" + element.attributes[name]);
+			}
+			if (attributes.length > 0) {
+				text += " (" + attributes.join(", ") + ")";
+			}
+			if (element.text.length > 0) {
+				text += ": " + element.text;
+			}
+			li.innerText = text;
+			if (element.children.length > 0) {
+				li.appendChild(this.createElementList(element.children));
+			}
+			list.appendChild(li);
+		}
+		return list;
+	},
+
+	/**
+	 * Formats a statusresist or susceptibility value as percentage.
+	 *
+	 * @param {string} value
+	 *   Ratio value from item config.
+	 * @param {number} def
+	 *   Value if number cannot be parsed.
+	 * @returns {string}
+	 *   Formatted percentage.
+	 */
+	formatPercent(value, def) {
+		return Math.round(util.parseNumberDefault(value, def) * 1000) / 10 + "%";
+	},
+
+	/**
+	 * Opens panel for an item.
+	 *
+	 * @param {object} item
+	 *   Item definition.
+	 */
+	show(item) {
+		this.item = item;
+		const info = item.details;
+		const content = document.getElementById("details-content");
+		content.replaceChildren();
+
+		const title = document.createElement("h3");
+		title.innerText = item.name;
+		content.appendChild(title);
+
+		const image = new Image();
+		image.classList.add("details-sprite");
+		remote.source.getUrl(compare.getBranch(item, main.branch), main.getSpritePath(item))
+			.then((src) => {
+				image.src = src;
+			})
+			.catch((e) => {
+				logger.warn("Failed to load sprite for " + item.name + ": " + e.message);
+			});
+		content.appendChild(image);
+
+		const history = document.createElement("button");
+		history.innerText = "Show history";
+		history.title = "Changes of this item across released versions";
+		history.addEventListener("click", () => {
+			timeline.show(item.name);
+		});
+		content.appendChild(history);
+
+		if (info.description.length > 0) {
+			const description = document.createElement("p");
+			description.innerText = info.description;
+			content.appendChild(description);
+		}
+
+		content.appendChild(this.createTable("General", ["Property", "Value"], [
+			["class", item.class],
+			["subclass", item.image],
+			["value", item.value],
+			["unattainable", info.unattainable ? "yes" : "no"]
+		]));
+
+		for (const [key, caption] of [["buy", "Sold By"], ["sell", "Bought By"]]) {
+			const rows = (item[key] || []).map((offer) => [offer.npc, offer.price]);
+			if (rows.length > 0) {
+				content.appendChild(this.createTable(caption, ["NPC", "Price"], rows));
+			}
+		}
+
+		const sources = [];
+		for (const drop of item.drops || []) {
+			const quantity = drop.min === drop.max ? drop.min : drop.min + "-" + drop.max;
+			sources.push([drop.creature, drop.level, drop.chance + "%", quantity]);
+		}
+		if (sources.length > 0) {
+			content.appendChild(this.createTable("Dropped By", ["Creature", "Level", "Chance", "Quantity"], sources));
+		}
+
+		const attributes = [];
+		for (const attr of info.attributes) {
+			attributes.push([attr.name, attr.value]);
+		}
+		if (attributes.length > 0) {
+			content.appendChild(this.createTable("Attributes", ["Name", "Value"], attributes));
+		}
+
+		const resistances = [];
+		for (const res of info.resistances) {
+			resistances.push([res.type, this.formatPercent(res.value, 0)]);
+		}
+		if (resistances.length > 0) {
+			content.appendChild(this.createTable("Status Resistances", ["Status", "Resistance"], resistances));
+		}
+
+		const susceptibilities = [];
+		for (const sus of info.susceptibilities) {
+			susceptibilities.push([sus.type, this.formatPercent(sus.value, 1)]);
+		}
+		if (susceptibilities.length > 0) {
+			content.appendChild(this.createTable("Susceptibilities", ["Type", "Damage Taken"], susceptibilities));
+		}
+
+		if (info.other.length > 0) {
+			const heading = document.createElement("h4");
+			heading.innerText = "Other Properties";
+			content.appendChild(heading);
+			content.appendChild(this.createElementList(info.other));
+		}
+
+		document.getElementById("details").classList.remove("hidden");
+	},
+
+	/**
+	 * Closes panel.
+	 */
+	hide() {
+		this.item = undefined;
+		document.getElementById("details").classList.add("hidden");
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	document.getElementById("details-close").addEventListener("click", () => {
+		details.hide();
+	});
+	document.addEventListener("keydown", (evt) => {
+		if (evt.key === "Escape") {
+			details.hide();
+		}
+	});
+});
@@ -0,0 +1,220 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Serializes displayed items for use in spreadsheets & wiki pages.
+ */
+const exporter = {
+	/** Supported formats & their file properties. */
+	formats: {
+		csv: {extension: "csv", mime: "text/csv"},
+		json: {extension: "json", mime: "application/json"},
+		wiki: {extension: "txt", mime: "text/plain"}
+	},
+
+	/**
+	 * Retrieves displayed items limited to visible columns.
+	 *
+	 * @returns {object[]}
+	 *   Items containing only visible attributes.
+	 */
+	getRows() {
+		const columns = main.getVisibleColumns();
+		const rows = [];
+		for (const item of main.getSorted()) {
+			const row = {};
+			for (const col of columns) {
+				row[col] = col === "special" ? item[col].map((effect) => Object.assign({}, effect)) : item[col];
+			}
+			rows.push(row);
+		}
+		return rows;
+	},
+
+	/**
+	 * Retrieves column header text.
+	 *
+	 * @param {string} col
+	 *   Column ID.
+	 * @returns {string}
+	 *   Header label.
+	 */
+	getLabel(col) {
+		return main.getColumnLabel(col);
+	},
+
+	/**
+	 * Quotes a CSV field if necessary.
+	 *
+	 * @param {any} value
+	 *   Field value.
+	 * @returns {string}
+	 *   Escaped field.
+	 */
+	escapeCsv(value) {
+		value = "" + value;
+		if (/[",\n]/.test(value)) {
+			return "\"" + value.replaceAll("\"", "\"\"") + "\"";
+		}
+		return value;
+	},
+
+	/**
+	 * Serializes items as comma-separated values.
+	 *
+	 * Special effects, shop offers & drop sources are formatted as text & separated by semicolons
+	 * within their field.
+	 *
+	 * @param {object[]} rows
+	 *   Items from `exporter.getRows`.
+	 * @returns {string}
+	 *   CSV text.
+	 */
+	toCsv(rows) {
+		const columns = main.getVisibleColumns();
+		const lines = [columns.map((col) => this.escapeCsv(this.getLabel(col))).join(",")];
+		for (const row of rows) {
+			const fields = [];
+			for (const col of columns) {
+				const value = row[col];
+				const entries = main.formatList(col, value);
+				fields.push(this.escapeCsv(entries ? entries.join("; ") : value));
+			}
+			lines.push(fields.join(","));
+		}
+		return lines.join("\n") + "\n";
+	},
+
+	/**
+	 * Serializes items as JSON.
+	 *
+	 * Special effects are kept as structured objects.
+	 *
+	 * @param {object[]} rows
+	 *   Items from `exporter.getRows`.
+	 * @returns {string}
+	 *   JSON text.
+	 */
+	toJson(rows) {
+		return JSON.stringify(rows, null, "\t") + "\n";
+	},
+
+	/**
+	 * Escapes characters with special meaning in wiki table cells.
+	 *
+	 * @param {any} value
+	 *   Cell value.
+	 * @returns {string}
+	 *   Escaped value.
+	 */
+	escapeWiki(value) {
+		return ("" + value).replaceAll("|", "&#124;");
+	},
+
+	/**
+	 * Serializes items as MediaWiki table markup.
+	 *
+	 * Special effects, shop offers & drop sources are written as a list within their cell.
+	 *
+	 * @param {object[]} rows
+	 *   Items from `exporter.getRows`.
+	 * @returns {string}
+	 *   Wiki markup.
+	 */
+	toWiki(rows) {
+		const columns = main.getVisibleColumns();
+		const lines = ["{| class=\"wikitable sortable\""];
+		lines.push("! " + columns.map((col) => this.escapeWiki(this.getLabel(col))).join(" !! "));
+		for (const row of rows) {
+			lines.push("|-");
+			for (const col of columns) {
+				const value = row[col];
+				const entries = main.formatList(col, value);
+				if (entries) {
+					lines.push("|");
+					for (const entry of entries) {
+						lines.push("* " + this.escapeWiki(entry));
+					}
+				} else if (col === "name") {
+					lines.push("| [[" + this.escapeWiki(value) + "]]");
+				} else {
+					lines.push("| " + this.escapeWiki(value));
+				}
+			}
+		}
+		lines.push("|}");
+		return lines.join("\n") + "\n";
+	},
+
+	/**
+	 * Serializes displayed items.
+	 *
+	 * @param {string} format
+	 *   One of "csv", "json" or "wiki".
+	 * @returns {string}
+	 *   Serialized items.
+	 */
+	serialize(format) {
+		const rows = this.getRows();
+		if (format === "csv") {
+			return this.toCsv(rows);
+		} else if (format === "json") {
+			return this.toJson(rows);
+		} else if (format === "wiki") {
+			return this.toWiki(rows);
+		}
+		throw new Error("Unknown export format: " + format);
+	},
+
+	/**
+	 * Downloads displayed items as a file.
+	 *
+	 * @param {string} format
+	 *   One of "csv", "json" or "wiki".
+	 */
+	download(format) {
+		try {
+			const info = this.formats[format];
+			const blob = new Blob([this.serialize(format)], {type: info.mime});
+			const link = document.createElement("a");
+			link.href = URL.createObjectURL(blob);
+			const name = main.mode !== "items" ? main.mode : main.className;
+			link.download = "stendhal-items-" + name + "-" + main.versionString + "." + info.extension;
+			document.body.appendChild(link);
+			link.click();
+			link.remove();
+			URL.revokeObjectURL(link.href);
+		} catch (e) {
+			logger.error(e);
+		}
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	for (const format in exporter.formats) {
+		document.getElementById("export-" + format).addEventListener("click", () => {
+			exporter.download(format);
+		});
+	}
+});
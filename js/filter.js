@@ -0,0 +1,364 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Narrows displayed items by name, attribute ranges & special effects.
+ *
+ * Filters are stored in URL query parameters:
+ * - `search`: Name substring.
+ * - `<attribute>`: Numeric range formatted as `min..max` where either bound may be omitted.
+ * - `special`: Comma-separated tokens that must all be found in special effects.
+ * - `buyable`: If "true", only items sold by NPCs.
+ * - `weapon` & `ammo`: Pinned weapon & ammunition names of ranged weapon combinations.
+ */
+const filter = {
+	/** Attributes that can be filtered by numeric range. */
+	attributes: ["level", "atk", "def", "rate", "dpt", "range", "dropchance"],
+	/** Range attributes only defined for items & ignored in other modes. */
+	itemAttributes: ["dropchance"],
+	/** Name substring. */
+	search: "",
+	/** Ranges keyed by attribute name. */
+	ranges: {},
+	/** Special effect tokens. */
+	special: [],
+	/** Property determining if only items sold in NPC shops are displayed. */
+	buyable: false,
+	/** Pinned ranged weapon & ammunition names, empty if not pinned. */
+	pins: {weapon: "", ammo: ""},
+	/** Timeout ID for delayed updates while typing. */
+	timeoutId: undefined,
+
+	/**
+	 * Checks if any filter is set.
+	 *
+	 * @returns {boolean}
+	 *   `true` if items are filtered.
+	 */
+	isActive() {
+		return this.search.length > 0 || Object.keys(this.ranges).length > 0 || this.special.length > 0
+				|| this.buyable || this.isPinned();
+	},
+
+	/**
+	 * Checks if combinations are limited to a weapon or ammunition.
+	 *
+	 * @returns {boolean}
+	 *   `true` if combinations are displayed & any is pinned.
+	 */
+	isPinned() {
+		return main.mode === "combinations" && (this.pins.weapon.length > 0 || this.pins.ammo.length > 0);
+	},
+
+	/**
+	 * Parses a numeric range.
+	 *
+	 * @param {string|null} value
+	 *   Range formatted as `min..max`.
+	 * @returns {object|undefined}
+	 *   Object with `min` & `max` properties or `undefined` if no bound is set.
+	 */
+	parseRange(value) {
+		if (!value) {
+			return undefined;
+		}
+		const bounds = value.split("..");
+		const range = {
+			min: util.parseNumberDefault(bounds[0], -Infinity),
+			max: util.parseNumberDefault(bounds.length > 1 ? bounds[1] : bounds[0], Infinity)
+		};
+		if (range.min === -Infinity && range.max === Infinity) {
+			return undefined;
+		}
+		return range;
+	},
+
+	/**
+	 * Formats a numeric range for URL query.
+	 *
+	 * @param {object} range
+	 *   Object with `min` & `max` properties.
+	 * @returns {string}
+	 *   Range formatted as `min..max`.
+	 */
+	formatRange(range) {
+		return (Number.isFinite(range.min) ? range.min : "") + ".." + (Number.isFinite(range.max) ? range.max : "");
+	},
+
+	/**
+	 * Parses special effect tokens.
+	 *
+	 * @param {string|null} value
+	 *   Comma-separated tokens.
+	 * @returns {string[]}
+	 *   Lowercase tokens.
+	 */
+	parseTokens(value) {
+		const tokens = [];
+		for (const token of (value || "").split(",")) {
+			const t = token.trim().toLowerCase();
+			if (t.length > 0) {
+				tokens.push(t);
+			}
+		}
+		return tokens;
+	},
+
+	/**
+	 * Sets filters from URL query parameters.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters.
+	 */
+	fromParams(params) {
+		this.search = (params.get("search") || "").trim().toLowerCase();
+		this.ranges = {};
+		for (const attr of this.attributes) {
+			const range = this.parseRange(params.get(attr));
+			if (range) {
+				this.ranges[attr] = range;
+			}
+		}
+		this.special = this.parseTokens(params.get("special"));
+		this.buyable = params.get("buyable") === "true";
+		for (const key in this.pins) {
+			this.pins[key] = params.get(key) || "";
+		}
+		this.updateInputs();
+	},
+
+	/**
+	 * Stores filters in URL query parameters.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters.
+	 */
+	toParams(params) {
+		params.delete("search");
+		if (this.search.length > 0) {
+			params.set("search", this.search);
+		}
+		for (const attr of this.attributes) {
+			params.delete(attr);
+			if (this.ranges[attr]) {
+				params.set(attr, this.formatRange(this.ranges[attr]));
+			}
+		}
+		params.delete("special");
+		if (this.special.length > 0) {
+			params.set("special", this.special.join(","));
+		}
+		params.delete("buyable");
+		if (this.buyable) {
+			params.set("buyable", "true");
+		}
+		for (const key in this.pins) {
+			params.delete(key);
+			if (this.pins[key].length > 0) {
+				params.set(key, this.pins[key]);
+			}
+		}
+	},
+
+	/**
+	 * Checks if an item passes all filters.
+	 *
+	 * @param {object} item
+	 *   Item definition.
+	 * @returns {boolean}
+	 *   `true` if item should be displayed.
+	 */
+	matches(item) {
+		if (this.search.length > 0 && !item.name.toLowerCase().includes(this.search)) {
+			return false;
+		}
+		const items = main.mode === "items";
+		for (const attr in this.ranges) {
+			if (!items && this.itemAttributes.indexOf(attr) > -1) {
+				continue;
+			}
+			const range = this.ranges[attr];
+			const value = item[attr];
+			if (!(value >= range.min && value <= range.max)) {
+				return false;
+			}
+		}
+		const special = effects.formatList(item.special).join(", ").toLowerCase();
+		for (const token of this.special) {
+			if (!special.includes(token)) {
+				return false;
+			}
+		}
+		// shop prices are only loaded for items
+		if (this.buyable && items && !(item.buy && item.buy.length > 0)) {
+			return false;
+		}
+		if (this.isPinned()) {
+			for (const key in this.pins) {
+				if (this.pins[key].length > 0 && item[key] !== this.pins[key]) {
+					return false;
+				}
+			}
+		}
+		return true;
+	},
+
+	/**
+	 * Retrieves items that pass all filters.
+	 *
+	 * @param {object[]} items
+	 *   Items to filter.
+	 * @returns {object[]}
+	 *   Filtered items.
+	 */
+	apply(items) {
+		if (!this.isActive()) {
+			return [...items];
+		}
+		return items.filter((item) => this.matches(item));
+	},
+
+	/**
+	 * Adds range inputs to filter bar.
+	 */
+	createInputs() {
+		const container = document.getElementById("range-filters");
+		for (const attr of this.attributes) {
+			const label = document.createElement("label");
+			label.innerText = " " + main.getColumnLabel(attr) + ": ";
+			container.appendChild(label);
+			for (const bound of ["min", "max"]) {
+				const input = document.createElement("input");
+				input.id = "filter-" + attr + "-" + bound;
+				input.type = "number";
+				input.placeholder = bound;
+				input.classList.add("range-filter");
+				container.appendChild(input);
+			}
+		}
+		for (const input of document.getElementById("filters").getElementsByTagName("input")) {
+			input.addEventListener("input", () => {
+				this.onInput();
+			});
+		}
+		for (const select of document.getElementById("pins").getElementsByTagName("select")) {
+			select.addEventListener("change", () => {
+				this.readInputs();
+				this.onChange();
+			});
+		}
+		document.getElementById("filter-clear").addEventListener("click", () => {
+			this.search = "";
+			this.ranges = {};
+			this.special = [];
+			this.buyable = false;
+			this.pins = {weapon: "", ammo: ""};
+			this.updateInputs();
+			this.onChange();
+		});
+	},
+
+	/**
+	 * Lists weapons & ammunition that can be pinned.
+	 *
+	 * @param {object[]} weapons
+	 *   Ranged weapon definitions.
+	 * @param {object[]} ammunition
+	 *   Ammunition definitions.
+	 */
+	listPins(weapons, ammunition) {
+		const lists = {weapon: weapons, ammo: ammunition};
+		for (const key in lists) {
+			const select = document.getElementById("filter-" + key);
+			select.replaceChildren(new Option("(all)", ""));
+			for (const item of lists[key]) {
+				select.add(new Option(item.name, item.name));
+			}
+		}
+		this.updateInputs();
+	},
+
+	/**
+	 * Updates filter bar inputs to match current filters.
+	 */
+	updateInputs() {
+		document.getElementById("filter-search").value = this.search;
+		document.getElementById("filter-special").value = this.special.join(", ");
+		document.getElementById("filter-buyable").checked = this.buyable;
+		for (const key in this.pins) {
+			document.getElementById("filter-" + key).value = this.pins[key];
+		}
+		for (const attr of this.attributes) {
+			const range = this.ranges[attr] || {min: -Infinity, max: Infinity};
+			document.getElementById("filter-" + attr + "-min").value = Number.isFinite(range.min) ? range.min : "";
+			document.getElementById("filter-" + attr + "-max").value = Number.isFinite(range.max) ? range.max : "";
+		}
+	},
+
+	/**
+	 * Reads filters from filter bar inputs.
+	 */
+	readInputs() {
+		this.search = document.getElementById("filter-search").value.trim().toLowerCase();
+		this.special = this.parseTokens(document.getElementById("filter-special").value);
+		this.buyable = document.getElementById("filter-buyable").checked;
+		for (const key in this.pins) {
+			this.pins[key] = document.getElementById("filter-" + key).value;
+		}
+		this.ranges = {};
+		for (const attr of this.attributes) {
+			const min = document.getElementById("filter-" + attr + "-min").value;
+			const max = document.getElementById("filter-" + attr + "-max").value;
+			const range = this.parseRange(min + ".." + max);
+			if (range) {
+				this.ranges[attr] = range;
+			}
+		}
+	},
+
+	/**
+	 * Applies filter bar inputs after user stops typing.
+	 */
+	onInput() {
+		if (typeof(this.timeoutId) !== "undefined") {
+			clearTimeout(this.timeoutId);
+		}
+		this.timeoutId = setTimeout(() => {
+			this.timeoutId = undefined;
+			this.readInputs();
+			this.onChange();
+		}, 300);
+	},
+
+	/**
+	 * Updates URL & displayed items after filters changed.
+	 */
+	onChange() {
+		const params = new URLSearchParams(window.location.search);
+		this.toParams(params);
+		const query = params.toString();
+		history.replaceState(null, "", window.location.pathname + (query ? "?" + query : ""));
+		main.refresh();
+	}
+};
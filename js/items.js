@@ -22,95 +22,6 @@
  * SOFTWARE.
  */
 
-// Stendhal's repo URL
-const repoPrefix = "https://raw.githubusercontent.com/arianne/stendhal/";
-
-/**
- * Items classes.
- */
-const classes = {
-	/** Items grouping. */
-	groups: {
-		weapons: ["axes", "clubs", "ranged", "swords", "whips"],
-		protective: ["armors", "boots", "cloaks", "helmets", "legs", "shields"],
-		projectiles: ["arrows", "missiles"]
-	},
-	/** Available class names parsed from config. */
-	available: [],
-	/** Item classes to ignore. */
-	excludes: ["dummy_weapons"],
-
-	/**
-	 * Retrieves selectable items groups names.
-	 *
-	 * @returns {string[]}
-	 *   Items groups.
-	 */
-	getGroupNames() {
-		return Object.keys(this.groups);
-	},
-
-	/**
-	 * Checks if class is a weapon equipment type.
-	 *
-	 * @param {string} className
-	 *   Class or group name.
-	 * @returns {boolean}
-	 *   `true` if is a weapon type.
-	 */
-	isWeaponType(className) {
-		return className === "weapons" || this.groups.weapons.indexOf(className) > -1;
-	},
-
-	/**
-	 * Checks if class is an armor equipment type.
-	 *
-	 * @param {string} className
-	 *   Class or group name.
-	 * @returns {boolean}
-	 *   `true` if is a armor type.
-	 */
-	isArmorType(className) {
-		return className === "protective" || this.groups.protective.indexOf(className) > -1;
-	},
-
-	/**
-	 * Checks if class is a ranged weapon type.
-	 *
-	 * @param {string} className
-	 *   Class or group name.
-	 * @returns {boolean}
-	 *   `true` if is a ranged type.
-	 */
-	isRangedType(className) {
-		return className === "ranged";
-	},
-
-	/**
-	 * Checks if class is a throwable projectile type.
-	 *
-	 * @param {string} className
-	 *   Class or group name.
-	 * @returns {boolean}
-	 *   `true` if is a projectile type.
-	 */
-	isProjectileType(className) {
-		return className === "projectiles" || this.groups.projectiles.indexOf(className) > -1;
-	},
-
-	/**
-	 * Checks if class is a consumable type.
-	 *
-	 * @param {string} className
-	 *   Class or group name.
-	 * @return {boolean}
-	 *   `true` if is a consumable type.
-	 */
-	isConsumableType(className) {
-		return className === "food" || className === "drink";
-	}
-};
-
 /**
  * Object for displaying messages.
  */
@@ -205,407 +116,1054 @@ const logger = {
 };
 
 /**
- * Helper utility function.
+ * Persistent storage for fetched data files.
+ *
+ * Uses the browser's Cache API. Release branches never change so their entries are kept
+ * indefinitely, other branches expire after `cache.ttl`.
  */
-const util = {
+const cache = {
+	/** Cache storage name. */
+	name: "stendhal-items",
+	/** Time in minutes before cached data from unreleased branches expires. */
+	ttl: 60,
+	/** Header used to store time entry was cached. */
+	timeHeader: "X-Cached-At",
+
 	/**
-	 * Converts a value to number.
+	 * Checks if browser supports Cache API.
 	 *
-	 * @param {string} value
-	 *   String value.
-	 * @param {number} def
-	 *   Default value if number cannot be parsed.
-	 * @returns {number}
-	 *   Parsed number value.
+	 * @returns {boolean}
+	 *   `true` if cache storage can be used.
 	 */
-	parseNumberDefault(value, def) {
-		const res = Number.parseFloat(value);
-		if (Number.isNaN(res) || !Number.isFinite(res)) {
-			return def;
-		}
-		return res;
+	isAvailable() {
+		return typeof(caches) !== "undefined";
 	},
 
 	/**
-	 * Ensures LF line endings in content.
+	 * Checks if branch contents are immutable.
 	 *
-	 * @param {string} content
-	 *   Fetched text content.
-	 * @returns {string}
-	 *   Normalized text content.
+	 * @param {string} branch
+	 *   Branch URL slug.
+	 * @returns {boolean}
+	 *   `true` if branch is a release tag.
 	 */
-	normalize(content) {
-		return content.replaceAll("\r\n", "\n").replaceAll("\r", "\n");
-	}
-};
+	isPermanent(branch) {
+		return versions.tagPattern.test(branch);
+	},
 
-/**
- * Object to manage remote resources.
- */
-const remote = {
 	/**
-	 * Fetches contents of a file from Stendhal Git repo.
+	 * Builds cache key for a file.
 	 *
+	 * @param {string} branch
+	 *   Branch URL slug.
 	 * @param {string} path
 	 *   Path to file relative to repo root.
-	 * @param {Function} callback
-	 *   Function called when data is ready.
-	 * @param {string} [branch="master"]
-	 *   Branch on which desired version is located.
-	 * @param {string} [mime="text/plain"]
-	 *   Target file MIME type.
+	 * @returns {string}
+	 *   Cache entry URL.
 	 */
-	async fetchText(path, callback, mime="text/plain") {
-		const url = repoPrefix + main.branch + "/" + path;
-		try {
-			const res = await fetch(url, {
-				method: "GET",
-				headers: {
-					"Content-Type": mime
-				}
-			});
-			const text = await res.text();
-			callback(text);
-		} catch (e) {
-			logger.error(e);
-		}
+	key(branch, path) {
+		return new URL("cache/" + branch + "/" + path, window.location.href).href;
 	},
 
 	/**
-	 * Fetches & loads current release version from properties file.
+	 * Retrieves a cached file.
+	 *
+	 * @param {string} branch
+	 *   Branch URL slug.
+	 * @param {string} path
+	 *   Path to file relative to repo root.
+	 * @returns {object|undefined}
+	 *   Object with `text` & `expired` properties or `undefined` if not cached.
 	 */
-	async fetchVersion() {
-		await this.fetchText("build.ant.properties", (content) => {
-			parser.parseVersionString(content);
-		});
+	async get(branch, path) {
+		if (!this.isAvailable()) {
+			return undefined;
+		}
+		try {
+			const storage = await caches.open(this.name);
+			const res = await storage.match(this.key(branch, path));
+			if (!res) {
+				return undefined;
+			}
+			let expired = false;
+			if (!this.isPermanent(branch)) {
+				const cachedAt = util.parseNumberDefault(res.headers.get(this.timeHeader), 0);
+				expired = Date.now() - cachedAt > this.ttl * 60000;
+			}
+			return {text: await res.text(), expired: expired};
+		} catch (e) {
+			logger.warn("Failed to read cache: " + e.message);
+		}
+		return undefined;
 	},
 
 	/**
-	 * Fetches & loads configured items classes.
+	 * Adds a file to cache.
+	 *
+	 * @param {string} branch
+	 *   Branch URL slug.
+	 * @param {string} path
+	 *   Path to file relative to repo root.
+	 * @param {string} text
+	 *   File contents.
 	 */
-	async fetchClasses() {
-		await this.fetchText("data/conf/items.xml", (content) => {
-			parser.parseClasses(content);
-		});
+	async put(branch, path, text) {
+		if (!this.isAvailable()) {
+			return;
+		}
+		try {
+			const storage = await caches.open(this.name);
+			const headers = {"Content-Type": "text/plain"};
+			headers[this.timeHeader] = "" + Date.now();
+			await storage.put(this.key(branch, path), new Response(text, {headers: headers}));
+		} catch (e) {
+			logger.warn("Failed to write cache: " + e.message);
+		}
 	},
 
 	/**
-	 * Fetches & loads items info for selected class.
+	 * Removes cached files.
+	 *
+	 * @param {string} [branch=undefined]
+	 *   Branch URL slug. If `undefined`, all entries are removed.
 	 */
-	async fetchItemsForClass() {
-		if (typeof(main.className) !== "string" || main.className.length === 0) {
-			logger.error("No class selected");
+	async clear(branch=undefined) {
+		if (!this.isAvailable()) {
 			return;
 		}
-
-		if (classes.getGroupNames().indexOf(main.className) > -1) {
-			for (const className of classes.groups[main.className]) {
-				await remote.fetchText("data/conf/items/" + className + ".xml", (content) => {
-					parser.parseItems(content);
-				});
+		try {
+			if (typeof(branch) === "undefined") {
+				await caches.delete(this.name);
+				return;
 			}
-			return;
+			const prefix = this.key(branch, "");
+			const storage = await caches.open(this.name);
+			for (const req of await storage.keys()) {
+				if (req.url.startsWith(prefix)) {
+					await storage.delete(req);
+				}
+			}
+		} catch (e) {
+			logger.warn("Failed to clear cache: " + e.message);
 		}
-
-		await remote.fetchText("data/conf/items/" + main.className + ".xml", (content) => {
-			parser.parseItems(content);
-		});
 	}
 };
 
 /**
- * Main properties & functions.
+ * Locations from which Stendhal data files can be loaded.
+ *
+ * Each source implements `fetchText(branch, path)` & `getUrl(branch, path)`.
  */
-const main = {
-	/** Parsed Stendhal version. */
-	version: [],
-	/** Branch URL slug. */
-	branch: "master",
-	/** Item class. */
-	className: "weapons",
-	/** Attribute by which to sort. */
-	sortBy: "name",
-	/** Sorting order. */
-	descending: false,
-	/** Loaded items data. */
-	items: [],
+const sources = {
+	/** Stendhal's Git repo on GitHub. */
+	github: {
+		id: "github",
+		/** Fetched files can be stored in persistent cache. */
+		cacheable: true,
+		/** Source can load different versions. */
+		usesBranches: true,
 
-	/** Property determining if unattainable items are visible. */
-	showUnattainable: false,
-	/** Property for alternating row background color. */
-	odd: false,
+		/**
+		 * Retrieves URL of a file.
+		 *
+		 * @param {string} branch
+		 *   Branch URL slug.
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @returns {Promise<string>}
+		 *   File URL.
+		 */
+		async getUrl(branch, path) {
+			return repoPrefix + branch + "/" + path;
+		},
 
-	/**
-	 * Reloads page with query parameters.
-	 *
-	 * @param {string|undefined} query
-	 *   Query parameters.
-	 */
-	reload(query=undefined) {
-		let target = window.location.href;
-		if (query) {
-			target = target.split("?")[0] + "?" + query;
+		/**
+		 * Fetches contents of a file.
+		 *
+		 * @param {string} branch
+		 *   Branch URL slug.
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @param {string} [mime="text/plain"]
+		 *   Target file MIME type.
+		 * @returns {Promise<string>}
+		 *   File contents.
+		 */
+		async fetchText(branch, path, mime="text/plain") {
+			return await remote.request(await this.getUrl(branch, path), mime);
 		}
-		window.location.href = target;
 	},
 
 	/**
-	 * Sets branch URL slug.
+	 * Self-hosted mirror or fork of Stendhal repo.
+	 *
+	 * The base URL may contain a `{branch}` placeholder which is replaced with branch URL
+	 * slug. Without it, the base URL is used for all versions.
 	 */
-	updateBranch() {
-		if (this.version.length > 0) {
-			this.branch = "VERSION_" + ("0"+this.version[0]).slice(-2) + "_RELEASE_" + this.version[1];
+	mirror: {
+		id: "url",
+		cacheable: false,
+		usesBranches: false,
+		/** Base URL of repo copy. */
+		base: "",
+
+		/**
+		 * Sets base URL of repo copy.
+		 *
+		 * @param {string} base
+		 *   Base URL.
+		 */
+		setBase(base) {
+			this.base = base.endsWith("/") ? base : base + "/";
+			this.usesBranches = this.base.includes("{branch}");
+		},
+
+		/**
+		 * Retrieves URL of a file.
+		 *
+		 * @param {string} branch
+		 *   Branch URL slug.
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @returns {Promise<string>}
+		 *   File URL.
+		 */
+		async getUrl(branch, path) {
+			return this.base.replaceAll("{branch}", branch) + path;
+		},
+
+		/**
+		 * Fetches contents of a file.
+		 *
+		 * @param {string} branch
+		 *   Branch URL slug.
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @param {string} [mime="text/plain"]
+		 *   Target file MIME type.
+		 * @returns {Promise<string>}
+		 *   File contents.
+		 */
+		async fetchText(branch, path, mime="text/plain") {
+			return await remote.request(await this.getUrl(branch, path), mime);
 		}
 	},
 
 	/**
-	 * Updates visible columns for class type.
+	 * Local Stendhal checkout.
+	 *
+	 * Directory is picked with File System Access API or dropped onto page. Only the
+	 * checked out version is available so branch is ignored.
 	 */
-	updateColumns() {
-		const weaponAttr = ["level", "rate", "atk", "dpt"];
-		const armorAttr = ["level", "def"];
-		const projAttr = ["level", "atk", "range"];
-		for (const attr of ["value", ...weaponAttr, ...armorAttr, ...projAttr]) {
-			document.getElementById(attr).classList.add("hidden");
-		}
-		if (classes.isWeaponType(this.className)) {
-			for (const attr of weaponAttr) {
-				document.getElementById(attr).classList.remove("hidden");
+	local: {
+		id: "local",
+		cacheable: false,
+		usesBranches: false,
+		/** Selected directory (`FileSystemDirectoryHandle` or `FileSystemDirectoryEntry`). */
+		root: undefined,
+		/** Object URLs created for files. */
+		urls: {},
+
+		/**
+		 * Checks if browser can open directory picker.
+		 *
+		 * @returns {boolean}
+		 *   `true` if File System Access API is supported.
+		 */
+		canPick() {
+			return typeof(window.showDirectoryPicker) === "function";
+		},
+
+		/**
+		 * Prompts user to select Stendhal directory.
+		 *
+		 * @returns {Promise<boolean>}
+		 *   `true` if a directory was selected.
+		 */
+		async pick() {
+			try {
+				this.setRoot(await window.showDirectoryPicker({id: "stendhal", mode: "read"}));
+				return true;
+			} catch (e) {
+				if (e.name !== "AbortError") {
+					logger.error(e);
+				}
+			}
+			return false;
+		},
+
+		/**
+		 * Sets selected directory.
+		 *
+		 * @param {FileSystemDirectoryHandle|FileSystemDirectoryEntry} root
+		 *   Stendhal directory.
+		 */
+		setRoot(root) {
+			for (const url of Object.values(this.urls)) {
+				URL.revokeObjectURL(url);
 			}
-			if (classes.isRangedType(this.className)) {
-				document.getElementById("range").classList.remove("hidden");
+			this.urls = {};
+			this.root = root;
+		},
+
+		/**
+		 * Retrieves a file from selected directory.
+		 *
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @returns {Promise<File>}
+		 *   File object.
+		 */
+		async getFile(path) {
+			if (!this.root) {
+				throw new Error("No local directory selected");
 			}
-		} else if (classes.isArmorType(this.className)) {
-			for (const attr of armorAttr) {
-				document.getElementById(attr).classList.remove("hidden");
+			if (typeof(this.root.getFileHandle) === "function") {
+				const parts = path.split("/");
+				let dir = this.root;
+				for (const part of parts.slice(0, -1)) {
+					dir = await dir.getDirectoryHandle(part);
+				}
+				const handle = await dir.getFileHandle(parts[parts.length - 1]);
+				return await handle.getFile();
 			}
-		} else if (classes.isProjectileType(this.className)) {
-			for (const attr of projAttr) {
-				document.getElementById(attr).classList.remove("hidden");
+			// dropped directory entry
+			const entry = await new Promise((resolve, reject) => {
+				this.root.getFile(path, {}, resolve, reject);
+			});
+			return await new Promise((resolve, reject) => {
+				entry.file(resolve, reject);
+			});
+		},
+
+		/**
+		 * Retrieves URL of a file.
+		 *
+		 * @param {string} branch
+		 *   Unused.
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @returns {Promise<string>}
+		 *   Object URL for file.
+		 */
+		async getUrl(branch, path) {
+			if (!this.urls[path]) {
+				this.urls[path] = URL.createObjectURL(await this.getFile(path));
 			}
-		} else if (this.className === "money") {
-			document.getElementById("value").classList.remove("hidden");
+			return this.urls[path];
+		},
+
+		/**
+		 * Reads contents of a file.
+		 *
+		 * @param {string} branch
+		 *   Unused.
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @returns {Promise<string>}
+		 *   File contents.
+		 */
+		async fetchText(branch, path) {
+			return await (await this.getFile(path)).text();
 		}
 	},
 
 	/**
-	 * Retrieves an item definition & removes it from item list.
+	 * Retrieves source by identifier.
 	 *
-	 * @param {string} name
-	 *   Item name.
+	 * @param {string} id
+	 *   Source identifier.
 	 * @returns {object|undefined}
-	 *   Item definition or `undefined`.
-	 */
-	pop(name) {
-		const res = {idx: -1, item: undefined};
-		for (let idx = 0; idx < this.items.length; idx++) {
-			const item = this.items[idx];
-			if (item.name === name) {
-				res.idx = idx;
-				res.item = item;
-				break;
+	 *   Data source or `undefined`.
+	 */
+	get(id) {
+		for (const source of [this.github, this.mirror, this.local]) {
+			if (source.id === id) {
+				return source;
 			}
 		}
-		if (res.idx > -1) {
-			this.items.splice(res.idx, 1);
-		}
-		return res.item;
-	},
+		return undefined;
+	}
+};
+
+/**
+ * Object to manage remote resources.
+ */
+const remote = {
+	/** Data source from which files are loaded. */
+	source: sources.github,
+	/** Number of times a transient failure is retried. */
+	retries: 3,
+	/** Delay in milliseconds before first retry. Doubled for each further attempt. */
+	retryDelay: 500,
+	/** Maximum number of pages requested when listing release tags. */
+	tagPages: 10,
+	/** Pending or loaded drop source indexes keyed by branch. */
+	dropIndexes: {},
 
 	/**
-	 * Retrieves sorted item list.
+	 * Fetches text contents from a URL.
 	 *
-	 * @returns {object[]}
-	 *   Parsed items.
+	 * @param {string} url
+	 *   File URL.
+	 * @param {string} [mime="text/plain"]
+	 *   Target file MIME type.
+	 * @returns {Promise<string>}
+	 *   File contents.
 	 */
-	getSorted() {
-		const items = [...this.items];
-		items.sort((objA, objB) => {
-			const valueA = objA[this.sortBy];
-			const valueB = objB[this.sortBy];
-			if (valueA < valueB) {
-				return this.descending ? 1 : -1;
-			}
-			if (valueA > valueB) {
-				return this.descending ? -1 : 1;
+	async request(url, mime="text/plain") {
+		const res = await fetch(url, {
+			method: "GET",
+			headers: {
+				"Content-Type": mime
 			}
-			return 0;
 		});
-		return items;
+		if (!res.ok) {
+			const err = new Error(res.status + " " + res.statusText);
+			err.status = res.status;
+			throw err;
+		}
+		return await res.text();
 	},
 
 	/**
-	 * Displays loaded items data.
+	 * Checks if a failed request may succeed when repeated.
+	 *
+	 * @param {Error} err
+	 *   Request error.
+	 * @returns {boolean}
+	 *   `true` for network errors, server errors & rate limiting.
 	 */
-	displayItems() {
-		const items = this.getSorted();
-
-		for (const item of items) {
-			let name = item["name"];
-			if (name === "l/r hand swords") {
-				name = "l hand sword";
-			}
-			const link = "https://stendhalgame.org/item/" + item["class"] + "/" + name.replaceAll(" ", "_") + ".html";
-			const classList = ["cell"];
-			if (this.odd) {
-				classList.push("odd-cell");
-			}
-			for (const prop in item) {
-				let value = item[prop];
-				if (prop === "image") {
-					const src = repoPrefix + this.branch + "/data/sprites/items/" + item["class"] + "/" + value + ".png";
-					const image = new Image();
-					image.src = src;
-
-					// container element to restrict image dimensions
-					const container = document.createElement("div");
-					container.classList.add("icon-container");
-					container.appendChild(image);
-
-					element = document.createElement("div");
-					element.classList.add(...classList, "left-cell");
-					element.appendChild(container);
-					document.getElementById("image").appendChild(element);
-					continue;
-				}
-				if (Array.isArray(value)) {
-					value = value.join(", ");
-				} else {
-					value = "" + value;
-				}
-				element = document.createElement("div");
-				element.classList.add(...classList);
-				if (prop === "special") {
-					element.classList.add("right-cell");
-				} else if (prop === "name") {
-					value = "<a href=\"" + link + "\" target=\"_blank\">" + value + "</a>";
-				}
-				if (value.length === 0) {
-					element.innerHTML = "&nbsp;";
-				} else {
-					element.innerHTML = "&nbsp;&nbsp;&nbsp;&nbsp;" + value;
-				}
-				document.getElementById(prop).appendChild(element);
-			}
-			this.odd = !this.odd;
+	isTransient(err) {
+		if (typeof(err.status) === "number") {
+			return err.status >= 500 || err.status === 429;
 		}
+		// fetch rejects with TypeError on network failure
+		return err.name === "TypeError";
 	},
 
 	/**
-	 * Sets selected item class.
+	 * Checks if a request failed because file does not exist.
 	 *
-	 * @param {string} name
-	 *   Class name.
+	 * @param {Error} err
+	 *   Request error.
+	 * @returns {boolean}
+	 *   `true` for HTTP 404 & files missing from local directory.
 	 */
-	selectClass(name) {
-		const select = document.getElementById("classes");
-		for (let idx = 0; idx < select.options.length; idx++) {
-			if (select.options[idx].value === name) {
-				this.className = name;
-				select.selectedIndex = idx;
-				break;
-			}
-		}
-		this.updateColumns();
-	}
-};
+	isMissing(err) {
+		return err.status === 404 || err.name === "NotFoundError";
+	},
 
-/**
- * Utility object for type conversion/parsing.
- */
-const parser = {
 	/**
-	 * Parses number value from item attributes list.
+	 * Fetches a file from data source retrying transient failures.
 	 *
-	 * @param {XMLDocument} attributes
-	 *   Item attributes.
-	 * @param {string} name
-	 *   Attribute name.
-	 * @param {number} [def=0]
-	 * @returns {number}
-	 *   Parsed number value.
+	 * @param {object} source
+	 *   Data source.
+	 * @param {string} branch
+	 *   Branch on which desired version is located.
+	 * @param {string} path
+	 *   Path to file relative to repo root.
+	 * @param {string} mime
+	 *   Target file MIME type.
+	 * @returns {Promise<string>}
+	 *   File contents.
 	 */
-	numberAttribute(attributes, name, def=0) {
-		const element = attributes.getElementsByTagName(name)[0];
-		if (!element) {
-			return def;
+	async fetchWithRetry(source, branch, path, mime) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await source.fetchText(branch, path, mime);
+			} catch (e) {
+				if (attempt >= this.retries || !this.isTransient(e)) {
+					throw e;
+				}
+				this.status.set(path, "retrying", "attempt " + (attempt + 2) + "/" + (this.retries + 1));
+				await new Promise((resolve) => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt)));
+			}
 		}
-		const value = element.getAttribute("value");
-		return util.parseNumberDefault(value, def);
 	},
 
 	/**
-	 * Parses string value from item attributes list.
-	 *
-	 * @param {XMLDocument} attributes
-	 *   Item attributes.
-	 * @param {string} name
-	 *   Attribute name.
-	 * @return {string|undefined}
-	 *   Parsed string value or `undefined`.
+	 * Per-file load status displayed in messages area.
 	 */
-	stringAttribute(attributes, name) {
-		const element = attributes.getElementsByTagName(name)[0];
-		if (!element) {
-			return undefined;
+	status: {
+		/** Status entries keyed by file path. */
+		entries: {},
+
+		/**
+		 * Removes all entries.
+		 */
+		clear() {
+			this.entries = {};
+			document.getElementById("file-status-list").replaceChildren();
+			this.update();
+		},
+
+		/**
+		 * Sets status of a file.
+		 *
+		 * @param {string} path
+		 *   Path to file relative to repo root.
+		 * @param {string} state
+		 *   One of "loading", "retrying", "loaded", "cached", "missing" or "failed".
+		 * @param {string} [detail=""]
+		 *   Additional info such as error message.
+		 */
+		set(path, state, detail="") {
+			let entry = this.entries[path];
+			if (!entry) {
+				entry = {element: document.createElement("li")};
+				this.entries[path] = entry;
+				document.getElementById("file-status-list").appendChild(entry.element);
+			}
+			entry.state = state;
+			entry.element.className = "file-" + state;
+			entry.element.innerText = path + ": " + state + (detail ? " (" + detail + ")" : "");
+			this.update();
+		},
+
+		/**
+		 * Updates summary of file states.
+		 */
+		update() {
+			const counts = {};
+			for (const entry of Object.values(this.entries)) {
+				counts[entry.state] = (counts[entry.state] || 0) + 1;
+			}
+			const summary = [];
+			for (const state in counts) {
+				summary.push(counts[state] + " " + state);
+			}
+			const container = document.getElementById("file-status");
+			container.classList.toggle("hidden", summary.length === 0);
+			container.firstElementChild.innerText = "Files: " + summary.join(", ");
+			if (counts["failed"]) {
+				container.open = true;
+			}
 		}
-		return element.getAttribute("value");
 	},
 
 	/**
-	 * Parses version string from fetched properties file.
+	 * Fetches contents of a file from selected data source.
 	 *
-	 * @param {string} content
-	 *   Properties file text contents.
+	 * Cached contents are used when available & not expired. Expired contents are used as
+	 * fallback if the file cannot be fetched.
+	 *
+	 * @param {string} path
+	 *   Path to file relative to repo root.
+	 * @param {Function} callback
+	 *   Function called when data is ready.
+	 * @param {string} [mime="text/plain"]
+	 *   Target file MIME type.
+	 * @param {string} [branch=main.branch]
+	 *   Branch on which desired version is located.
+	 * @param {boolean} [optional=false]
+	 *   If `true`, a file that does not exist in this version is not reported as failure.
+	 * @returns {Promise<boolean>}
+	 *   `true` if file was loaded & processed by callback.
 	 */
-	parseVersionString(content) {
-		content = util.normalize(content);
-		for (const li of content.split("\n")) {
-			if (li.startsWith("version\.old")) {
-				main.currentVersionString = li.split("=")[1].trim();
+	async fetchText(path, callback, mime="text/plain", branch=main.branch, optional=false) {
+		const source = this.source;
+		const cached = source.cacheable ? await cache.get(branch, path) : undefined;
+		if (cached && !cached.expired) {
+			try {
+				callback(cached.text);
+				this.status.set(path, "cached");
+				return true;
+			} catch (e) {
+				// discard corrupt entry & fetch again
+				logger.warn("Invalid cached data for " + path + ": " + e.message);
+			}
+		}
+		this.status.set(path, "loading");
+		let text;
+		try {
+			text = await this.fetchWithRetry(source, branch, path, mime);
+		} catch (e) {
+			if (cached) {
+				logger.warn("Using expired cache for " + path + ": " + e.message);
+				text = cached.text;
+			} else if (optional && this.isMissing(e)) {
+				this.status.set(path, "missing");
+				return false;
+			} else {
+				this.status.set(path, "failed", e.message);
+				logger.error("Failed to load " + path + ": " + e.message, false);
+				return false;
 			}
 		}
+		try {
+			callback(text);
+		} catch (e) {
+			this.status.set(path, "failed", e.message);
+			logger.error("Failed to parse " + path + ": " + e.message, false);
+			return false;
+		}
+		if (source.cacheable && text !== (cached && cached.text)) {
+			await cache.put(branch, path, text);
+		}
+		this.status.set(path, "loaded");
+		return true;
 	},
 
 	/**
-	 * Parses version from version string.
+	 * Fetches & loads current release version from properties file of unreleased branch.
+	 *
+	 * @returns {Promise<boolean>}
+	 *   `true` if version was loaded.
 	 */
-	parseVersion() {
-		for (const v of main.versionString.split(".")) {
-			main.version.push(Number.parseInt(v, 10));
-		}
-		document.getElementById("version").value = main.versionString;
-		main.updateBranch();
+	async fetchVersion() {
+		return await this.fetchText("build.ant.properties", (content) => {
+			const versionString = parser.parseVersionString(content);
+			if (!versionString) {
+				throw new Error("Version not found");
+			}
+			main.currentVersionString = versionString;
+			main.devVersionString = parser.parseVersionString(content, "version");
+		}, "text/plain", versions.master);
 	},
 
 	/**
-	 * Parses item classes from fetched data.
+	 * Fetches catalogue of released versions.
 	 *
-	 * @param {string} content
-	 *   Items XML config data.
+	 * Release tags are listed with GitHub API. The manifest bundled with this page is used
+	 * for other sources or if the API cannot be reached.
+	 *
+	 * @returns {Promise<object[]>}
+	 *   Catalogue of release tags, empty if neither list could be loaded.
 	 */
-	parseClasses(content) {
-		content = util.normalize(content);
-
-		for (let li of content.split("\n")) {
-			li = li.replace(/^\t/, "");
-			if (li.startsWith("<group uri=\"items/")) {
-				const className = li.replace(/<group uri="items\//, "").replace(/\.xml.*$/, "");
-				if (classes.excludes.indexOf(className) > -1) {
-					continue;
-				}
-				classes.available.push(className);
+	async fetchCatalogue() {
+		if (this.source === sources.github) {
+			try {
+				return await this.fetchTags();
+			} catch (e) {
+				logger.warn("Failed to list release tags, using bundled manifest: " + e.message);
 			}
 		}
-
-		const classNames = classes.getGroupNames();
-		for (const className of classes.available) {
-			classNames.push(className);
+		try {
+			return versions.parseTags(JSON.parse(await this.request("versions.json", "application/json")));
+		} catch (e) {
+			logger.error("Failed to load version catalogue: " + e.message);
 		}
+		return [];
+	},
 
-		const select = document.getElementById("classes");
-		for (const className of classNames) {
-			const opt = document.createElement("option");
+	/**
+	 * Fetches catalogue of release tags from GitHub API.
+	 *
+	 * Tag names are cached like files of unreleased branches.
+	 *
+	 * @returns {Promise<object[]>}
+	 *   Catalogue of release tags.
+	 */
+	async fetchTags() {
+		const cached = await cache.get("api", "tags.json");
+		if (cached && !cached.expired) {
+			return versions.parseTags(JSON.parse(cached.text));
+		}
+		const tags = [];
+		try {
+			// results are paginated, limit requests in case API misbehaves
+			for (let page = 1; page <= this.tagPages; page++) {
+				const list = JSON.parse(await this.request(tagsUrl + "?per_page=100&page=" + page,
+						"application/json"));
+				if (!Array.isArray(list)) {
+					throw new Error("Unexpected response listing tags");
+				}
+				for (const tag of list) {
+					tags.push(tag.name);
+				}
+				if (list.length < 100) {
+					break;
+				}
+			}
+		} catch (e) {
+			if (!cached) {
+				throw e;
+			}
+			logger.warn("Using expired cache for release tags: " + e.message);
+			return versions.parseTags(JSON.parse(cached.text));
+		}
+		const catalogue = versions.parseTags(tags);
+		if (catalogue.length === 0) {
+			throw new Error("No release tags found");
+		}
+		await cache.put("api", "tags.json", JSON.stringify(tags));
+		return catalogue;
+	},
+
+	/**
+	 * Fetches & loads configured items classes.
+	 *
+	 * @returns {Promise<boolean>}
+	 *   `true` if classes were loaded.
+	 */
+	async fetchClasses() {
+		return await this.fetchText("data/conf/items.xml", (content) => {
+			main.populateClasses(content);
+		});
+	},
+
+	/**
+	 * Fetches & loads info of all creatures.
+	 *
+	 * Group files are fetched concurrently & parsed creatures are added in group order once all
+	 * are done. Versions without creatures configuration have no creatures.
+	 *
+	 * @param {string} [branch=main.branch]
+	 *   Branch on which desired version is located.
+	 * @param {object[]} [creatures=[]]
+	 *   List to which parsed creatures are added.
+	 * @param {Function} [onProgress]
+	 *   Function called with number of finished groups & total number of groups each time a group
+	 *   file is done.
+	 * @returns {Promise<object[]>}
+	 *   Parsed creatures.
+	 */
+	async fetchCreatures(branch=main.branch, creatures=[], onProgress) {
+		let groups = [];
+		await this.fetchText("data/conf/creatures.xml", (content) => {
+			groups = parser.parseGroupNames(content, "creatures");
+		}, "text/plain", branch, true);
+		const failed = [];
+		const results = groups.map(() => []);
+		let finished = 0;
+		if (typeof(onProgress) === "function") {
+			onProgress(0, groups.length);
+		}
+		await Promise.all(groups.map(async (group, idx) => {
+			const loaded = await this.fetchText("data/conf/creatures/" + group + ".xml", (content) => {
+				results[idx] = parser.parseCreatures(content, []);
+			}, "text/plain", branch);
+			if (!loaded) {
+				failed.push(group);
+			}
+			finished++;
+			if (typeof(onProgress) === "function") {
+				onProgress(finished, groups.length);
+			}
+		}));
+		for (const parsed of results) {
+			creatures.push(...parsed);
+		}
+		if (failed.length > 0) {
+			// report in group order regardless of completion order
+			failed.sort((a, b) => groups.indexOf(a) - groups.indexOf(b));
+			logger.error("Failed to load creature groups: " + failed.join(", "));
+		}
+		return creatures;
+	},
+
+	/**
+	 * Fetches creatures & indexes their drops by item name.
+	 *
+	 * Index is kept for each branch until `clearDropIndexes` is called. An empty index is not
+	 * kept so that it is fetched again on next load.
+	 *
+	 * @param {string} [branch=main.branch]
+	 *   Branch on which desired version is located.
+	 * @param {Function} [onProgress]
+	 *   Function called with creature groups progress as in `fetchCreatures`. Only called if index
+	 *   is not loaded or pending yet.
+	 * @returns {Promise<object>}
+	 *   Drop sources keyed by item name as returned by `drops.index`.
+	 */
+	fetchDropIndex(branch=main.branch, onProgress) {
+		if (!this.dropIndexes[branch]) {
+			const pending = this.fetchCreatures(branch, [], onProgress).then((creatures) => {
+				if (creatures.length === 0 && this.dropIndexes[branch] === pending) {
+					delete this.dropIndexes[branch];
+				}
+				return drops.index(creatures);
+			});
+			this.dropIndexes[branch] = pending;
+		}
+		return this.dropIndexes[branch];
+	},
+
+	/**
+	 * Discards drop source indexes of all branches.
+	 */
+	clearDropIndexes() {
+		this.dropIndexes = {};
+	},
+
+	/**
+	 * Fetches & loads NPC shop prices.
+	 *
+	 * Versions without shop configuration have no prices.
+	 *
+	 * @param {string} [branch=main.branch]
+	 *   Branch on which desired version is located.
+	 * @returns {Promise<object>}
+	 *   Offers keyed by item name as returned by `parser.parseShops`.
+	 */
+	async fetchShops(branch=main.branch) {
+		const prices = {};
+		await this.fetchText("data/conf/shops.xml", (content) => {
+			parser.parseShops(content, prices);
+		}, "text/plain", branch, true);
+		return prices;
+	},
+
+	/**
+	 * Fetches & loads items info for selected class.
+	 *
+	 * Files of a group are fetched concurrently. Parsed items are appended in order of group
+	 * classes as soon as all preceding classes are done. Files that fail to load are skipped.
+	 *
+	 * @param {string} [branch=main.branch]
+	 *   Branch on which desired version is located.
+	 * @param {object[]} [items=main.items]
+	 *   List to which parsed items are added.
+	 * @param {string} [className=main.className]
+	 *   Class or group name.
+	 * @param {Function} [onProgress]
+	 *   Function called with number of finished classes, total number of classes & whether
+	 *   new items were appended each time a class file is done.
+	 * @returns {Promise<string[]>}
+	 *   Names of classes that failed to load.
+	 */
+	async fetchItemsForClass(branch=main.branch, items=main.items, className=main.className, onProgress) {
+		if (typeof(className) !== "string" || className.length === 0) {
+			logger.error("No class selected");
+			return [];
+		}
+
+		const classNames = classes.getMembers(className);
+		// members of user-defined groups may be of different types
+		const custom = classes.isCustomGroup(className);
+		const failed = [];
+		// parsed items of each class, undefined while pending
+		const results = new Array(classNames.length);
+		let finished = 0;
+		let next = 0;
+		if (typeof(onProgress) === "function") {
+			onProgress(0, classNames.length, false);
+		}
+		await Promise.all(classNames.map(async (name, idx) => {
+			let parsed = [];
+			const loaded = await remote.fetchText("data/conf/items/" + name + ".xml", (content) => {
+				// parse into temporary list so partially parsed files are not added
+				parsed = parser.parseItems(content, [], custom ? name : className, main.showUnattainable);
+			}, "text/plain", branch);
+			if (!loaded) {
+				failed.push(name);
+				parsed = [];
+			}
+			results[idx] = parsed;
+			finished++;
+			// append all consecutive finished classes to preserve order
+			let appended = false;
+			while (next < results.length && typeof(results[next]) !== "undefined") {
+				for (const item of results[next]) {
+					items.push(item);
+					appended = true;
+				}
+				next++;
+			}
+			if (typeof(onProgress) === "function") {
+				onProgress(finished, classNames.length, appended);
+			}
+		}));
+		if (failed.length > 0) {
+			// report in group order regardless of completion order
+			failed.sort((a, b) => classNames.indexOf(a) - classNames.indexOf(b));
+			logger.error("Failed to load item classes: " + failed.join(", "));
+		}
+		return failed;
+	}
+};
+
+/**
+ * Main properties & functions.
+ */
+const main = {
+	/** Parsed Stendhal version. */
+	version: [],
+	/** Branch URL slug. */
+	branch: "master",
+	/** Released versions available for selection. */
+	catalogue: [],
+	/** Item class. */
+	className: "weapons",
+	/** Displayed data type, either "items" or one of `main.modes`. */
+	mode: "items",
+	/** Sort keys in order of precedence. */
+	sort: [{key: "name", descending: false}],
+	/** Loaded items data. */
+	items: [],
+	/** Progress of files being loaded keyed by description, e.g. "classes". */
+	progress: {},
+	/** Item attributes displayed in table columns. */
+	columns: ["image", "name", "class", "value", "level", "rate", "atk", "dpt", "def", "range", "heal", "healrate",
+			"turns", "healvalue", "immunity", "special", "buy", "sell", "drops"],
+
+	/** Property determining if unattainable items are visible. */
+	showUnattainable: false,
+	/** Attributes of visible columns in display order. */
+	visibleColumns: [],
+	/** Column header labels. */
+	columnLabels: {
+		image: "Image",
+		name: "Name",
+		class: "Class",
+		value: "Value",
+		level: "Min Level",
+		rate: "Rate",
+		atk: "ATK",
+		dpt: "DPT",
+		def: "DEF",
+		range: "Range",
+		heal: "Total Heal",
+		healrate: "Heal/Turn",
+		turns: "Turns",
+		healvalue: "Heal/Gold",
+		immunity: "Immunity",
+		special: "Special",
+		buy: "Buy From",
+		sell: "Sell To",
+		drops: "Dropped By",
+		dropchance: "Drop %",
+		change: "Change"
+	},
+	/** Columns & header labels differing from items of data types other than items. */
+	modes: {
+		creatures: {
+			columns: ["image", "name", "class", "level", "hp", "atk", "def", "rate", "xp", "special"],
+			labels: {level: "Level", hp: "HP", xp: "XP", special: "Susceptibilities"}
+		},
+		combinations: {
+			columns: ["weapon", "ammo", "level", "rate", "atk", "dpt", "range", "special"],
+			labels: {weapon: "Weapon", ammo: "Ammunition"}
+		}
+	},
+
+	/**
+	 * Updates page URL with query parameters without reloading.
+	 *
+	 * Adds an entry to browser history so back/forward navigation restores previous state.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters.
+	 */
+	pushState(params) {
+		const query = params.toString();
+		history.pushState(null, "", window.location.pathname + (query ? "?" + query : ""));
+	},
+
+	/**
+	 * Retrieves branch URL slug for a version.
+	 *
+	 * Release tags are looked up in version catalogue. If catalogue is unavailable, or does not
+	 * list current release yet, tag name is derived from version.
+	 *
+	 * @param {string} versionString
+	 *   Version string or "master".
+	 * @returns {string|undefined}
+	 *   Branch URL slug or `undefined` if version is not in catalogue.
+	 */
+	getBranch(versionString) {
+		if (versionString === versions.master) {
+			return versions.master;
+		}
+		const entry = versions.find(this.catalogue, versionString);
+		if (entry) {
+			return entry.tag;
+		}
+		if (this.catalogue.length > 0 && !this.isCurrentVersion(versionString)) {
+			return undefined;
+		}
+		return parser.getBranchName(parser.parseVersion(versionString));
+	},
+
+	/**
+	 * Checks if a version is the current release.
+	 *
+	 * @param {string} versionString
+	 *   Version string.
+	 * @returns {boolean}
+	 *   `true` if version is current release.
+	 */
+	isCurrentVersion(versionString) {
+		return typeof(this.currentVersionString) === "string" && versions.isValid(versionString)
+				&& versions.compare(versionString, this.currentVersionString) === 0;
+	},
+
+	/**
+	 * Sets branch URL slug.
+	 */
+	updateBranch() {
+		if (this.versionString) {
+			this.branch = this.getBranch(this.versionString) || this.branch;
+		}
+	},
+
+	/**
+	 * Parses version from version string.
+	 */
+	parseVersion() {
+		this.version = [];
+		if (this.versionString !== versions.master) {
+			this.version = parser.parseVersion(this.versionString);
+		}
+		document.getElementById("version").value = this.versionString;
+		this.updateBranch();
+	},
+
+	/**
+	 * Lists versions from catalogue in version & compare selectors.
+	 */
+	populateVersions() {
+		const entries = this.catalogue.slice();
+		if (!versions.find(entries, this.currentVersionString)) {
+			// catalogue unavailable or not up to date
+			entries.unshift({version: this.currentVersionString});
+		}
+		for (const id of ["version", "compare"]) {
+			const select = document.getElementById(id);
+			select.replaceChildren();
+			if (id === "compare") {
+				select.add(new Option("none", ""));
+			}
+			let label = "master / unreleased";
+			if (this.devVersionString) {
+				label += " (" + this.devVersionString + ")";
+			}
+			select.add(new Option(label, versions.master));
+			for (const entry of entries) {
+				let text = entry.version;
+				if (entry.version === this.currentVersionString) {
+					text += " (current)";
+				}
+				select.add(new Option(text, entry.version));
+			}
+		}
+	},
+
+	/**
+	 * Lists item classes parsed from fetched data in class selector.
+	 *
+	 * @param {string} content
+	 *   Items XML config data.
+	 */
+	populateClasses(content) {
+		classes.available = parser.parseClassNames(content);
+		this.listClasses();
+	},
+
+	/**
+	 * Lists groups & available item classes in class selector.
+	 */
+	listClasses() {
+		const classNames = classes.getGroupNames();
+		for (const className of classes.available) {
+			classNames.push(className);
+		}
+
+		const select = document.getElementById("classes");
+		select.replaceChildren();
+		for (const className of classNames) {
+			const opt = document.createElement("option");
 			opt.value = className
 			opt.innerText = className;
 			select.appendChild(opt);
@@ -620,126 +1178,385 @@ const parser = {
 			// default to show weapons
 			className = "weapons";
 		}
-		main.selectClass(className);
+		this.selectClass(className);
 	},
 
 	/**
-	 * Parses & loads items info from fetched content.
+	 * Switches displayed data type.
 	 *
-	 * @param {string} content
-	 *   Fetched items XML data.
-	 */
-	parseItems(content) {
-		const xml = new DOMParser().parseFromString(content, "text/xml");
-		const items = xml.getElementsByTagName("item");
-		for (let idx = 0; idx < items.length; idx++) {
-			const itemData = items[idx];
-			const typeInfo = itemData.getElementsByTagName("type")[0];
-			const valueInfo = itemData.getElementsByTagName("value")[0];
-			const attributes = itemData.getElementsByTagName("attributes")[0];
-			let item = {
-				name: itemData.getAttribute("name"),
-				class: typeInfo.getAttribute("class"),
-				image: typeInfo.getAttribute("subclass"),
-				value: valueInfo ? valueInfo.getAttribute("value") : "0",
-				level: this.numberAttribute(attributes, "min_level"),
-				rate: this.numberAttribute(attributes, "rate"),
-				atk: this.numberAttribute(attributes, "atk"),
-				def: this.numberAttribute(attributes, "def"),
-				range: this.numberAttribute(attributes, "range")
-			};
-
-			let lrSword;
-			if (item.name === "l hand sword") {
-				lrSword = main.pop("r hand sword");
-			} else if (item.name === "r hand sword") {
-				lrSword = main.pop("l hand sword");
-			}
-			if (lrSword) {
-				// update name since both detected
-				lrSword.name = "l/r hand swords";
-				// atk & def are combined when used together
-				lrSword.atk += item.atk;
-				lrSword.def += item.def;
-				item = lrSword;
-			}
-
-			item.dpt = Math.round((item.atk / item.rate) * 100) / 100;
-			item.special = [];
-			const nature = this.stringAttribute(attributes, "damagetype");
-			if (typeof(nature) !== "undefined") {
-				item.special.push(nature);
-			}
-			const statusAttack = this.stringAttribute(attributes, "statusattack");
-			if (typeof(statusAttack) !== "undefined") {
-				if (statusAttack.includes("poison") || statusAttack.includes("venom")) {
-					item.special.push("poison");
-				} else if (statusAttack.includes(",")) {
-					item.special.push(statusAttack.split(",")[1]);
-				} else {
-					item.special.push(statusAttack);
-				}
-			}
-			for (const res of itemData.getElementsByTagName("statusresist")) {
-				let value = Math.round(util.parseNumberDefault(res.getAttribute("value"), 0) * 1000) / 10;
-				if (value != 0) {
-					item.special.push("resist " + res.getAttribute("type") + " (" + (value > 0 ? "+" : "") + value + "%)");
-				}
-			}
-			for (const sus of itemData.getElementsByTagName("susceptibility")) {
-				let value = Math.round(util.parseNumberDefault(sus.getAttribute("value"), 1) * 1000) / 10;
-				if (value !== 100) {
-					// susceptibilities are inverse
-					value = 100 - value;
-					item.special.push(sus.getAttribute("type") + " (" + (value > 0 ? "+" : "") + value + "%)");
-				}
+	 * Class selection & version comparison only apply to items.
+	 *
+	 * @param {string} mode
+	 *   Either "items" or one of `main.modes`.
+	 */
+	setMode(mode) {
+		this.mode = Object.prototype.hasOwnProperty.call(this.modes, mode) ? mode : "items";
+		document.getElementById("mode").value = this.mode;
+		document.getElementById("class-selector").classList.toggle("hidden", this.mode !== "items");
+		document.getElementById("pins").classList.toggle("hidden", this.mode !== "combinations");
+		updateSourceControls();
+		this.updateColumns();
+		preferences.displayColumns();
+		chart.reset();
+	},
+
+	/**
+	 * Retrieves attributes that can be displayed in current mode.
+	 *
+	 * @returns {string[]}
+	 *   Column IDs in default order.
+	 */
+	getColumns() {
+		return this.mode === "items" ? this.columns : this.modes[this.mode].columns;
+	},
+
+	/**
+	 * Retrieves columns shown for class type when user has not chosen columns.
+	 *
+	 * @param {string} className
+	 *   Class or group name.
+	 * @returns {string[]}
+	 *   Column IDs in display order.
+	 */
+	getDefaultColumns(className) {
+		if (this.mode !== "items") {
+			return this.getColumns().slice();
+		}
+		const attributes = classes.getAttributes(className);
+		return this.columns.filter((col) => ["image", "name", "class", "special", "buy", "sell", "drops"].indexOf(col) > -1
+				|| attributes.indexOf(col) > -1);
+	},
+
+	/**
+	 * Formats values of list attributes.
+	 *
+	 * @param {string} col
+	 *   Column ID.
+	 * @param {object[]} value
+	 *   Special effects, shop offers or drop sources.
+	 * @returns {string[]|undefined}
+	 *   Formatted entries or `undefined` if column does not list values.
+	 */
+	formatList(col, value) {
+		switch (sorter.types[col]) {
+			case "effects":
+				return effects.formatList(value);
+			case "offers":
+				return offers.formatList(value);
+			case "drops":
+				return drops.formatList(value);
+			default:
+				return undefined;
+		}
+	},
+
+	/**
+	 * Retrieves header text of a column.
+	 *
+	 * @param {string} col
+	 *   Column ID.
+	 * @returns {string}
+	 *   Column label.
+	 */
+	getColumnLabel(col) {
+		if (this.mode !== "items" && this.modes[this.mode].labels[col]) {
+			return this.modes[this.mode].labels[col];
+		}
+		return this.columnLabels[col] || col;
+	},
+
+	/**
+	 * Updates visible columns & their order for class type or user preference.
+	 */
+	updateColumns() {
+		// user-chosen columns apply to items only
+		const chosen = this.mode === "items" ? preferences.columns : undefined;
+		this.visibleColumns = (chosen || this.getDefaultColumns(this.className)).slice();
+		const columns = this.visibleColumns.map((col) => {
+			return {id: col, label: this.getColumnLabel(col), sortable: true};
+		});
+		if (compare.isActive()) {
+			// change column is always last
+			columns.push({id: "change", label: this.getColumnLabel("change"), sortable: false});
+		}
+		table.setColumns(columns);
+	},
+
+	/**
+	 * Retrieves attributes of columns not hidden for current class.
+	 *
+	 * @returns {string[]}
+	 *   Visible column IDs in display order.
+	 */
+	getVisibleColumns() {
+		return this.visibleColumns.slice();
+	},
+
+	/**
+	 * Retrieves filtered & sorted item list.
+	 *
+	 * @returns {object[]}
+	 *   Parsed items.
+	 */
+	getSorted() {
+		return sorter.sort(filter.apply(this.items), this.sort);
+	},
+
+	/**
+	 * Sets sort keys from URL parameters.
+	 *
+	 * The legacy "descending" parameter applies to a single sort key.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters.
+	 */
+	setSortFromParams(params) {
+		const spec = sorter.parseSpec(params.get("sort") || "name", params.get("descending") === "true");
+		// attributes used to break ties, such as name, are sortable even if not displayed as column
+		const sortable = this.getColumns().concat(sorter.tieBreakers);
+		this.sort = spec.filter((sk) => {
+			if (sortable.indexOf(sk.key) < 0) {
+				logger.error("Cannot sort by unknown attribute: " + sk.key);
+				return false;
 			}
-			const lifesteal = this.numberAttribute(attributes, "lifesteal") * 100;
-			if (lifesteal !== 0) {
-				item.special.push("lifesteal (" + (lifesteal > 0 ? "+" : "") + lifesteal + "%)");
-			}
-			if (!classes.isWeaponType(main.className) && !classes.isProjectileType(main.className)
-					&& item.atk !== 0) {
-				item.special.push("atk (" + item.atk + ")");
-			}
-			if (!classes.isArmorType(main.className) && item.def !== 0) {
-				item.special.push("def (" + item.def + ")");
-			}
-			if (!classes.isRangedType(main.className) && !classes.isProjectileType(main.className)
-					&& item.range !== 0) {
-				item.special.push("range (" + item.range + ")");
-			}
-			if (classes.isConsumableType(main.className)) {
-				const consumeAmount = this.numberAttribute(attributes, "amount");
-				if (consumeAmount !== 0) {
-					const cures = this.stringAttribute(attributes, "immunization");
-					if (cures) {
-						item.special.push("cure (" + cures + ")");
-						item.special.push("immunity duration (" + consumeAmount + ")");
-					} else {
-						const regenType = consumeAmount > 0 ? "heal" : "hurt";
-						const regen = this.numberAttribute(attributes, "regen");
-						const frequency = this.numberAttribute(attributes, "frequency");
-						item.special.push(regenType + " (" + consumeAmount + ")");
-						if (frequency !== 1 || regen !== consumeAmount) {
-							item.special.push("regen (" + regen + ")");
-							item.special.push("frequency (" + frequency + ")");
-						}
-					}
-				}
+			return true;
+		});
+		table.setSort(this.sort);
+	},
+
+	/**
+	 * Removes sort keys of attributes not displayed for selected class.
+	 *
+	 * Items are sorted by name if no key remains.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters updated to match remaining keys.
+	 */
+	pruneSort(params) {
+		const sortable = this.getVisibleColumns().concat(sorter.tieBreakers);
+		const sort = this.sort.filter((sk) => sortable.indexOf(sk.key) > -1);
+		if (sort.length === this.sort.length) {
+			return;
+		}
+		if (sort.length > 0) {
+			params.set("sort", sorter.formatSpec(sort));
+		} else {
+			params.delete("sort");
+		}
+		params.delete("descending");
+		this.sort = sort.length > 0 ? sort : [{key: "name", descending: false}];
+		table.setSort(this.sort);
+	},
+
+	/**
+	 * Updates sort keys after a column header is clicked.
+	 *
+	 * @param {string} key
+	 *   Attribute of clicked column.
+	 * @param {boolean} [append=false]
+	 *   If `true`, attribute is added as an additional key, or its order toggled if already
+	 *   sorted by it. Otherwise, it replaces all keys.
+	 */
+	toggleSort(key, append=false) {
+		const idx = this.sort.findIndex((sk) => sk.key === key);
+		if (append) {
+			if (idx > -1) {
+				this.sort[idx].descending = !this.sort[idx].descending;
+			} else {
+				this.sort.push({key: key, descending: false});
 			}
+		} else {
+			const descending = this.sort.length === 1 && idx === 0 && !this.sort[0].descending;
+			this.sort = [{key: key, descending: descending}];
+		}
+		const params = new URLSearchParams(window.location.search);
+		params.set("sort", sorter.formatSpec(this.sort));
+		params.delete("descending");
+		this.pushState(params);
+		table.setSort(this.sort);
+		this.refresh();
+	},
 
-			const unattainable = itemData.getElementsByTagName("unattainable").length > 0;
-			if (unattainable) {
-				logger.debug("Unattainable: " + item.name);
-				if (!main.showUnattainable) {
-					// don't add to list
-					continue;
-				}
+	/**
+	 * Retrieves path to an item's sprite image.
+	 *
+	 * @param {object} item
+	 *   Item definition.
+	 * @returns {string}
+	 *   Path relative to repo root.
+	 */
+	getSpritePath(item) {
+		const dir = this.mode === "creatures" ? "monsters" : "items";
+		return "data/sprites/" + dir + "/" + item["class"] + "/" + item["image"] + ".png";
+	},
+
+	/**
+	 * Removes displayed items data from table leaving column headers.
+	 */
+	clearItems() {
+		table.setRows([]);
+		this.progress = {};
+		this.showProgress();
+	},
+
+	/**
+	 * Updates load progress of a kind of files.
+	 *
+	 * @param {string} [label]
+	 *   Description of files, e.g. "classes". If omitted, only display is updated.
+	 * @param {number} [loaded]
+	 *   Number of finished files.
+	 * @param {number} [total]
+	 *   Number of files.
+	 */
+	showProgress(label, loaded, total) {
+		if (typeof(label) === "string") {
+			this.progress[label] = {loaded: loaded, total: total};
+		}
+		const pending = [];
+		for (const key in this.progress) {
+			const entry = this.progress[key];
+			// single files are not worth a progress display
+			if (entry.total > 1 && entry.loaded < entry.total) {
+				pending.push(entry.loaded + "/" + entry.total + " " + key);
 			}
+		}
+		const element = document.getElementById("load-progress");
+		element.innerText = pending.join(", ") + (pending.length > 0 ? " loaded" : "");
+		element.classList.toggle("hidden", pending.length === 0);
+	},
 
-			main.items.push(item);
+	/**
+	 * Displays loaded items data using current filter & sort settings.
+	 */
+	refresh() {
+		this.displayItems();
+	},
+
+	/**
+	 * Displays loaded items data.
+	 */
+	displayItems() {
+		table.setRows(this.getSorted());
+		if (chart.isVisible()) {
+			chart.draw();
 		}
+	},
+
+	/**
+	 * Retrieves URL of an item's page on Stendhal website.
+	 *
+	 * @param {object} item
+	 *   Item definition.
+	 * @returns {string}
+	 *   Item page URL.
+	 */
+	getItemLink(item) {
+		if (this.mode === "creatures") {
+			return "https://stendhalgame.org/creature/" + encodeURIComponent(item["name"].replaceAll(" ", "_"))
+					+ ".html";
+		}
+		let name = item["name"];
+		if (name === "l/r hand swords") {
+			name = "l hand sword";
+		}
+		return "https://stendhalgame.org/item/" + encodeURIComponent(item["class"]) + "/"
+				+ encodeURIComponent(name.replaceAll(" ", "_")) + ".html";
+	},
+
+	/**
+	 * Shows details of an item or opens a creature's page on Stendhal website.
+	 *
+	 * Details of a combination are those of its weapon.
+	 *
+	 * @param {object} item
+	 *   Item, creature or combination definition.
+	 */
+	showDetails(item) {
+		if (this.mode === "creatures") {
+			window.open(this.getItemLink(item), "_blank", "noopener");
+			return;
+		}
+		details.show(this.mode === "combinations" ? item.weaponItem : item);
+	},
+
+	/**
+	 * Builds contents of a table cell.
+	 *
+	 * @param {HTMLTableCellElement} cell
+	 *   Cell element.
+	 * @param {object} item
+	 *   Item definition.
+	 * @param {string} prop
+	 *   Column ID.
+	 */
+	renderCell(cell, item, prop) {
+		if (prop === "change") {
+			compare.displayChange(cell, item);
+			return;
+		}
+		if (prop === "image") {
+			const image = new Image();
+			image.alt = item["name"];
+			remote.source.getUrl(compare.getBranch(item, this.branch), this.getSpritePath(item))
+				.then((src) => {
+					image.src = src;
+				})
+				.catch((e) => {
+					logger.warn("Failed to load sprite for " + item["name"] + ": " + e.message);
+				});
+
+			// container element to restrict image dimensions
+			const container = document.createElement("div");
+			container.classList.add("icon-container");
+			container.appendChild(image);
+			cell.appendChild(container);
+			return;
+		}
+		if (compare.isActive() && compare.decorate(cell, item, prop)) {
+			return;
+		}
+		let value = item[prop];
+		const entries = this.formatList(prop, value);
+		if (entries && sorter.types[prop] === "effects") {
+			value = entries.join(", ");
+		} else if (entries) {
+			// lists of sources can be long, all are shown in tooltip & details
+			value = util.summarize(entries);
+			cell.title = entries.join(", ");
+		}
+		// combinations link to their weapon & ammunition
+		const linked = this.mode === "combinations" ? item[prop + "Item"] : (prop === "name" ? item : undefined);
+		if (linked) {
+			const link = document.createElement("a");
+			link.href = this.getItemLink(linked);
+			link.target = "_blank";
+			link.rel = "noopener";
+			link.innerText = value;
+			cell.appendChild(link);
+			return;
+		}
+		// computed attributes that do not apply are left empty
+		cell.innerText = sorter.isMissing(value, prop) ? "" : "" + value;
+	},
+
+	/**
+	 * Sets selected item class.
+	 *
+	 * @param {string} name
+	 *   Class name.
+	 */
+	selectClass(name) {
+		const select = document.getElementById("classes");
+		for (let idx = 0; idx < select.options.length; idx++) {
+			if (select.options[idx].value === name) {
+				this.className = name;
+				select.selectedIndex = idx;
+				break;
+			}
+		}
+		this.updateColumns();
+		chart.reset();
 	}
 };
 
@@ -747,35 +1564,295 @@ const parser = {
  * Executes methods to populate item list.
  */
 async function populate() {
-	await remote.fetchVersion();
+	remote.status.clear();
+	if (!await remote.fetchVersion()) {
+		logger.error("Could not determine current Stendhal version");
+		return;
+	}
 	document.getElementById("current-version").innerText = "(current version: " + main.currentVersionString + ")";
+	if (remote.source.usesBranches) {
+		main.catalogue = await remote.fetchCatalogue();
+	}
+	main.populateVersions();
 	if (!main.versionString) {
 		main.versionString = main.currentVersionString;
+	} else if (!isValidVersion(main.versionString)) {
+		main.versionString = main.currentVersionString;
+		removeParam("version");
+	}
+	if (compare.isActive() && !isValidVersion(compare.versionString)) {
+		compare.setVersion(undefined);
+		removeParam("compare");
+	} else {
+		// update branch from catalogue
+		compare.setVersion(compare.versionString);
+	}
+	main.parseVersion();
+	if (!await remote.fetchClasses()) {
+		logger.error("Could not load item classes");
+		return;
 	}
-	parser.parseVersion();
-	await remote.fetchClasses();
-	await remote.fetchItemsForClass();
-	main.displayItems();
+	await loadItems(false);
 }
 
 /**
- * Reloads page with value from "version" field.
+ * Clears loaded items & fetches data for selected class.
+ *
+ * @param {boolean} [clearStatus=true]
+ *   If `true`, file status of previous loads is removed.
  */
-function onSetVersion() {
-	const versionString = document.getElementById("version").value.trim();
-	for (const vs of versionString.split(".")) {
-		if (!(/^\d+$/.test(vs))) {
-			logger.error("Invalid version: " + versionString);
+async function loadItems(clearStatus=true) {
+	if (clearStatus) {
+		remote.status.clear();
+	}
+	const items = [];
+	main.items = items;
+	main.clearItems();
+	// progress of superseded loads is not displayed
+	const onProgress = (label) => {
+		return (loaded, total) => {
+			if (main.items === items) {
+				main.showProgress(label, loaded, total);
+			}
+		};
+	};
+	if (main.mode === "creatures") {
+		await remote.fetchCreatures(main.branch, items, onProgress("creature groups"));
+		if (main.items === items) {
+			main.refresh();
+		}
+		return;
+	}
+	if (main.mode === "combinations") {
+		const weapons = [];
+		const ammunition = [];
+		await remote.fetchItemsForClass(main.branch, weapons, "ranged");
+		await remote.fetchItemsForClass(main.branch, ammunition, "arrows");
+		if (main.items !== items) {
 			return;
 		}
+		items.push(...combinations.build(weapons, ammunition));
+		filter.listPins(weapons, ammunition);
+		main.refresh();
+		return;
+	}
+	// loaded alongside items & added once all classes are done
+	const prices = remote.fetchShops(main.branch);
+	const dropSources = remote.fetchDropIndex(main.branch, onProgress("creature groups"));
+	await remote.fetchItemsForClass(main.branch, items, main.className, (loaded, total, appended) => {
+		if (main.items !== items) {
+			// superseded by another load
+			return;
+		}
+		main.showProgress("classes", loaded, total);
+		// changes are displayed after comparison data is loaded
+		if (appended && !compare.isActive()) {
+			main.refresh();
+		}
+	});
+	offers.apply(items, await prices);
+	drops.apply(items, await dropSources);
+	if (main.items !== items) {
+		return;
+	}
+	if (compare.isActive() && !await compare.load(items)) {
+		return;
+	}
+	main.refresh();
+}
+
+/**
+ * Switches to a different Stendhal version & reloads classes & items data.
+ *
+ * @param {string} versionString
+ *   Version to load.
+ */
+async function loadVersion(versionString) {
+	main.versionString = versionString;
+	main.parseVersion();
+	remote.status.clear();
+	if (!await remote.fetchClasses()) {
+		logger.error("Could not load item classes for version " + versionString);
+		return;
 	}
-	if (versionString > main.currentVersionString) {
+	await loadItems(false);
+}
+
+/**
+ * Updates displayed data to match current URL query parameters.
+ *
+ * Called when browser history is navigated.
+ */
+async function restoreState() {
+	const params = new URLSearchParams(window.location.search);
+	const previousMode = main.mode;
+	main.setMode(params.get("mode"));
+	main.setSortFromParams(params);
+	filter.fromParams(params);
+	const previousClass = main.className;
+	const previousMembers = classes.getMembers(previousClass).join(",");
+	preferences.fromParams(params);
+	// selects class from parameters
+	main.listClasses();
+	const versionString = params.get("version") || main.currentVersionString;
+	const showUnattainable = params.get("unattainable") === "true";
+	const compareVersion = params.get("compare") || undefined;
+	if (versionString !== main.versionString) {
+		main.showUnattainable = showUnattainable;
+		compare.setVersion(compareVersion);
+		await loadVersion(versionString);
+	} else if (main.mode !== previousMode || main.className !== previousClass || classes.getMembers(main.className).join(",") !== previousMembers
+			|| showUnattainable !== main.showUnattainable || compareVersion !== compare.versionString) {
+		main.showUnattainable = showUnattainable;
+		compare.setVersion(compareVersion);
+		await loadItems();
+	} else {
+		main.refresh();
+	}
+}
+
+/**
+ * Enables or disables controls depending on selected data source.
+ */
+function updateSourceControls() {
+	const local = remote.source === sources.local;
+	document.getElementById("local-source-button").classList.toggle("hidden", !local || !sources.local.canPick());
+	document.getElementById("version").disabled = !remote.source.usesBranches;
+	document.getElementById("compare").disabled = !remote.source.usesBranches || main.mode !== "items";
+}
+
+/**
+ * Retrieves directory from drag & drop data.
+ *
+ * @param {DataTransfer} dataTransfer
+ *   Dropped data.
+ * @returns {Promise<FileSystemDirectoryHandle|FileSystemDirectoryEntry|undefined>}
+ *   Directory or `undefined` if no directory was dropped.
+ */
+async function getDroppedDirectory(dataTransfer) {
+	const item = dataTransfer.items[0];
+	if (!item || item.kind !== "file") {
+		return undefined;
+	}
+	if (typeof(item.getAsFileSystemHandle) === "function") {
+		const handle = await item.getAsFileSystemHandle();
+		return handle && handle.kind === "directory" ? handle : undefined;
+	}
+	const entry = item.webkitGetAsEntry();
+	return entry && entry.isDirectory ? entry : undefined;
+}
+
+/**
+ * Loads items data from selected local directory.
+ */
+function onSelectLocalSource() {
+	remote.source = sources.local;
+	remote.clearDropIndexes();
+	const params = new URLSearchParams(window.location.search);
+	params.set("source", sources.local.id);
+	params.delete("version");
+	history.replaceState(null, "", window.location.pathname + "?" + params.toString());
+	for (const p of Array.from(logger.container.getElementsByTagName("p"))) {
+		p.remove();
+	}
+	updateSourceControls();
+	main.versionString = undefined;
+	populate();
+}
+
+/**
+ * Removes cached data of current & unreleased branches & release tags, then reloads versions & items.
+ */
+async function onRefreshData() {
+	remote.clearDropIndexes();
+	await cache.clear("master");
+	await cache.clear("api");
+	await cache.clear(main.branch);
+	// current release & catalogue may have changed as well
+	await populate();
+}
+
+/**
+ * Checks if a version string can be loaded.
+ *
+ * @param {string} versionString
+ *   Version selected by user or from URL parameters.
+ * @returns {boolean}
+ *   `true` if version is valid.
+ */
+function isValidVersion(versionString) {
+	if (versionString === versions.master) {
+		return true;
+	}
+	if (!versions.isValid(versionString)) {
 		logger.error("Invalid version: " + versionString);
+		return false;
+	}
+	const catalogue = main.catalogue;
+	if (catalogue.length > 0) {
+		// current release is offered even if catalogue does not list it yet
+		if (!versions.find(catalogue, versionString) && !main.isCurrentVersion(versionString)) {
+			logger.error("Unknown version " + versionString + ": no release tag found (available: "
+					+ catalogue[catalogue.length - 1].version + " to " + catalogue[0].version + " & master)");
+			return false;
+		}
+	} else if (versions.compare(versionString, main.currentVersionString) > 0) {
+		logger.error("Invalid version " + versionString + ": newer than current release "
+				+ main.currentVersionString);
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Removes a parameter from page URL without adding history entry.
+ *
+ * @param {string} name
+ *   Parameter name.
+ */
+function removeParam(name) {
+	const params = new URLSearchParams(window.location.search);
+	params.delete(name);
+	const query = params.toString();
+	history.replaceState(null, "", window.location.pathname + (query ? "?" + query : ""));
+}
+
+/**
+ * Loads data for value from "version" selector.
+ */
+function onSetVersion() {
+	const versionString = document.getElementById("version").value;
+	if (!isValidVersion(versionString)) {
+		return;
+	}
+	if (versionString === main.versionString) {
 		return;
 	}
 	const params = new URLSearchParams(window.location.search);
 	params.set("version", versionString);
-	main.reload(params.toString());
+	main.pushState(params);
+	loadVersion(versionString);
+}
+
+/**
+ * Compares loaded items with version from "compare" selector.
+ *
+ * Selecting "none" disables compare mode.
+ */
+function onSetCompare() {
+	const versionString = document.getElementById("compare").value;
+	if (versionString.length > 0 && !isValidVersion(versionString)) {
+		return;
+	}
+	const params = new URLSearchParams(window.location.search);
+	if (versionString.length > 0) {
+		params.set("compare", versionString);
+	} else {
+		params.delete("compare");
+	}
+	main.pushState(params);
+	compare.setVersion(versionString);
+	loadItems();
 }
 
 // entry point
@@ -783,43 +1860,109 @@ document.addEventListener("DOMContentLoaded", () => {
 	document.getElementById("classes").addEventListener("change", (evt) => {
 		const select = evt.target;
 		const className = select.options[select.selectedIndex].value;
-		// reload page to update for changes
 		const params = new URLSearchParams(window.location.search);
 		params.set("class", className);
-		main.reload(params.toString());
+		main.selectClass(className);
+		// columns of previous class may not exist anymore
+		main.pruneSort(params);
+		main.pushState(params);
+		loadItems();
 	});
 
-	document.getElementById("version").addEventListener("keydown", (evt) => {
-		if (evt.key === "Enter") {
-			onSetVersion();
+	document.getElementById("mode").addEventListener("change", (evt) => {
+		const params = new URLSearchParams(window.location.search);
+		if (evt.target.value !== "items") {
+			params.set("mode", evt.target.value);
+		} else {
+			params.delete("mode");
 		}
+		// attributes differ between data types
+		params.delete("sort");
+		main.pushState(params);
+		main.setMode(evt.target.value);
+		main.setSortFromParams(params);
+		loadItems();
 	});
-	document.getElementById("version-button").addEventListener("click", (evt) => {
+
+	document.getElementById("version").addEventListener("change", (evt) => {
 		onSetVersion();
 	});
+	document.getElementById("compare").addEventListener("change", (evt) => {
+		onSetCompare();
+	});
+	document.getElementById("refresh-button").addEventListener("click", (evt) => {
+		onRefreshData();
+	});
 
-	for (const col of ["name", "class", "level", "rate", "atk", "dpt", "def", "special"]) {
-		const header = document.getElementById(col).firstElementChild;
-		header.classList.add("sortable");
-		header.addEventListener("click", (evt) => {
-			const sortBy = evt.currentTarget.parentElement.id;
-			const params = new URLSearchParams(window.location.search);
-			if (sortBy) {
-				params.set("sort", sortBy);
-			}
-			let descending = false;
-			if (sortBy === main.sortBy) {
-				descending = !main.descending;
-			}
-			params.set("descending", ""+descending);
-			main.reload(params.toString());
-		});
-	}
+	table.init(document.getElementById("items-list"), {
+		label: "Items",
+		renderCell: (cell, item, prop) => {
+			main.renderCell(cell, item, prop);
+		},
+		getRowClasses: (item) => {
+			return compare.getRowClasses(item);
+		},
+		onSort: (col, append) => {
+			main.toggleSort(col, append);
+		},
+		onActivate: (item) => {
+			main.showDetails(item);
+		}
+	});
+
+	filter.createInputs();
+
+	window.addEventListener("popstate", () => {
+		restoreState();
+	});
+
+	document.getElementById("local-source-button").addEventListener("click", async (evt) => {
+		if (await sources.local.pick()) {
+			onSelectLocalSource();
+		}
+	});
+	document.body.addEventListener("dragover", (evt) => {
+		evt.preventDefault();
+	});
+	document.body.addEventListener("drop", async (evt) => {
+		evt.preventDefault();
+		const root = await getDroppedDirectory(evt.dataTransfer);
+		if (!root) {
+			logger.error("Dropped item is not a directory");
+			return;
+		}
+		sources.local.setRoot(root);
+		onSelectLocalSource();
+	});
 
 	const params = new URLSearchParams(window.location.search);
+	const sourceId = params.get("source") || sources.github.id;
+	const source = sources.get(sourceId);
+	if (!source) {
+		logger.error("Unknown data source: " + sourceId);
+	} else {
+		if (source === sources.mirror) {
+			const base = params.get("base");
+			if (!base) {
+				logger.error("Mirror data source requires \"base\" URL parameter");
+				return;
+			}
+			source.setBase(base);
+		}
+		remote.source = source;
+	}
 	main.versionString = params.get("version");
-	main.sortBy = params.get("sort") || main.sortBy;
-	main.descending = params.get("descending") === "true";
+	main.setMode(params.get("mode"));
+	main.setSortFromParams(params);
 	main.showUnattainable = params.get("unattainable") === "true";
+	compare.setVersion(params.get("compare"));
+	filter.fromParams(params);
+	preferences.fromParams(params);
+	cache.ttl = util.parseNumberDefault(params.get("ttl"), cache.ttl);
+	updateSourceControls();
+	if (remote.source === sources.local && !remote.source.root) {
+		logger.info("Select or drop a Stendhal directory to load items", true);
+		return;
+	}
 	populate();
 });
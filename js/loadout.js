@@ -0,0 +1,228 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Builder totalling attributes of equipment selected for each slot.
+ */
+const loadout = {
+	/** Equipment slots & the item class that can be equipped in each. */
+	slots: [
+		{id: "weapon", label: "Weapon", className: "weapons"},
+		{id: "shield", label: "Shield", className: "shields"},
+		{id: "helmet", label: "Helmet", className: "helmets"},
+		{id: "armor", label: "Armor", className: "armors"},
+		{id: "legs", label: "Legs", className: "legs"},
+		{id: "boots", label: "Boots", className: "boots"},
+		{id: "cloak", label: "Cloak", className: "cloaks"}
+	],
+	/** Items available for each slot keyed by slot ID. */
+	items: {},
+	/** Selected items keyed by slot ID. */
+	selected: {},
+	/** Branch from which items were loaded. */
+	branch: undefined,
+
+	/**
+	 * Checks if an item occupies both hands.
+	 *
+	 * The left & right hand swords are merged into a single item by the parser & leave no hand
+	 * free for a shield.
+	 *
+	 * @param {object|undefined} item
+	 *   Item definition.
+	 * @returns {boolean}
+	 *   `true` if shield slot cannot be used.
+	 */
+	isTwoHanded(item) {
+		return typeof(item) !== "undefined" && item.name === "l/r hand swords";
+	},
+
+	/**
+	 * Fetches items for all slots if not loaded for current branch.
+	 */
+	async load() {
+		if (this.branch === main.branch) {
+			return;
+		}
+		this.branch = main.branch;
+		this.items = {};
+		this.selected = {};
+		for (const slot of this.slots) {
+			const items = [];
+			await remote.fetchItemsForClass(this.branch, items, slot.className);
+			items.sort((objA, objB) => objA.level - objB.level || (objA.name < objB.name ? -1 : 1));
+			this.items[slot.id] = items;
+		}
+	},
+
+	/**
+	 * Selects an item for a slot.
+	 *
+	 * @param {string} slotId
+	 *   Slot ID.
+	 * @param {string} name
+	 *   Item name or empty string to clear slot.
+	 */
+	select(slotId, name) {
+		delete this.selected[slotId];
+		for (const item of this.items[slotId] || []) {
+			if (item.name === name) {
+				this.selected[slotId] = item;
+				break;
+			}
+		}
+		if (this.isTwoHanded(this.selected.weapon)) {
+			delete this.selected.shield;
+		}
+	},
+
+	/**
+	 * Calculates combined attributes of selected items.
+	 *
+	 * Resistances & lifesteal are added together. Susceptibilities are multiplied since each item
+	 * scales damage taken.
+	 *
+	 * @returns {object}
+	 *   Totals with `atk`, `def`, `dpt`, `level`, `lifesteal`, `resistances` & `susceptibilities`
+	 *   properties.
+	 */
+	getTotals() {
+		const totals = {
+			atk: 0,
+			def: 0,
+			dpt: 0,
+			level: 0,
+			lifesteal: 0,
+			resistances: {},
+			susceptibilities: {}
+		};
+		const ratios = {};
+		for (const item of Object.values(this.selected)) {
+			totals.atk += item.atk;
+			totals.def += item.def;
+			totals.level = Math.max(totals.level, item.level);
+			for (const effect of item.special) {
+				if (effect.kind === "resist") {
+					totals.resistances[effect.type] = (totals.resistances[effect.type] || 0) + effect.value;
+				} else if (effect.kind === "susceptibility") {
+					// effect value is percentage of damage reduced
+					ratios[effect.type] = (ratios[effect.type] || 1) * (1 - effect.value / 100);
+				} else if (effect.kind === "lifesteal") {
+					totals.lifesteal += effect.value;
+				}
+			}
+		}
+		for (const type in ratios) {
+			totals.susceptibilities[type] = Math.round((1 - ratios[type]) * 1000) / 10;
+		}
+		for (const type in totals.resistances) {
+			totals.resistances[type] = Math.min(Math.round(totals.resistances[type] * 10) / 10, 100);
+		}
+		const weapon = this.selected.weapon;
+		if (weapon && weapon.rate > 0) {
+			totals.dpt = Math.round((totals.atk / weapon.rate) * 100) / 100;
+		}
+		return totals;
+	},
+
+	/**
+	 * Builds slot selection inputs.
+	 */
+	displaySlots() {
+		const container = document.getElementById("loadout-slots");
+		container.replaceChildren();
+		for (const slot of this.slots) {
+			const label = document.createElement("label");
+			label.htmlFor = "loadout-" + slot.id;
+			label.innerText = slot.label + ": ";
+			const select = document.createElement("select");
+			select.id = "loadout-" + slot.id;
+			select.appendChild(new Option("(none)", ""));
+			for (const item of this.items[slot.id]) {
+				select.appendChild(new Option(item.name + " (level " + item.level + ")", item.name));
+			}
+			select.addEventListener("change", () => {
+				this.select(slot.id, select.value);
+				this.displayTotals();
+			});
+			const row = document.createElement("div");
+			row.appendChild(label);
+			row.appendChild(select);
+			container.appendChild(row);
+		}
+	},
+
+	/**
+	 * Displays combined attributes of selected items.
+	 */
+	displayTotals() {
+		for (const slot of this.slots) {
+			const select = document.getElementById("loadout-" + slot.id);
+			const item = this.selected[slot.id];
+			select.value = item ? item.name : "";
+		}
+		document.getElementById("loadout-shield").disabled = this.isTwoHanded(this.selected.weapon);
+
+		const totals = this.getTotals();
+		const rows = [
+			["ATK", totals.atk],
+			["DEF", totals.def],
+			["DPT", totals.dpt],
+			["Min Level", totals.level],
+			["Lifesteal", effects.formatPercent(totals.lifesteal)]
+		];
+		for (const type in totals.resistances) {
+			rows.push(["Resist " + type, effects.formatPercent(totals.resistances[type])]);
+		}
+		for (const type in totals.susceptibilities) {
+			rows.push(["Susceptibility " + type, effects.formatPercent(totals.susceptibilities[type])]);
+		}
+		const table = details.createTable("Totals", ["Attribute", "Value"], rows);
+		document.getElementById("loadout-totals").replaceChildren(table);
+	},
+
+	/**
+	 * Shows or hides builder, loading items when first shown.
+	 */
+	async toggle() {
+		const container = document.getElementById("loadout");
+		if (!container.classList.contains("hidden")) {
+			container.classList.add("hidden");
+			return;
+		}
+		container.classList.remove("hidden");
+		if (this.branch !== main.branch) {
+			document.getElementById("loadout-slots").innerText = "Loading...";
+			await this.load();
+			this.displaySlots();
+		}
+		this.displayTotals();
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	document.getElementById("loadout-button").addEventListener("click", () => {
+		loadout.toggle();
+	});
+});
@@ -0,0 +1,372 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * User-defined item groups & table columns.
+ *
+ * Preferences are kept in browser's local storage & mirrored in URL parameters so customized
+ * views can be shared. URL parameters take precedence over stored values.
+ */
+const preferences = {
+	/** Local storage key. */
+	storageKey: "stendhal-items-preferences",
+	/** Visible column IDs in display order or `undefined` to show defaults for selected class. */
+	columns: undefined,
+
+	/**
+	 * Parses list of visible columns.
+	 *
+	 * @param {string|null} value
+	 *   Comma-separated column IDs.
+	 * @returns {string[]|undefined}
+	 *   Column IDs or `undefined` if value is empty.
+	 */
+	parseColumns(value) {
+		if (!value) {
+			return undefined;
+		}
+		const columns = [];
+		for (const col of value.split(",")) {
+			if (main.columns.indexOf(col) < 0) {
+				throw new Error("Unknown column: " + col);
+			}
+			if (columns.indexOf(col) < 0) {
+				columns.push(col);
+			}
+		}
+		return columns;
+	},
+
+	/**
+	 * Reads stored preferences.
+	 *
+	 * @returns {object}
+	 *   Object with formatted `groups` & `columns` properties.
+	 */
+	readStorage() {
+		try {
+			return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+		} catch (e) {
+			logger.warn("Failed to read stored preferences: " + e.message);
+		}
+		return {};
+	},
+
+	/**
+	 * Loads preferences from URL parameters or local storage.
+	 *
+	 * Stored values missing from URL are added to it.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters.
+	 */
+	fromParams(params) {
+		const stored = this.readStorage();
+		const groups = params.has("groups") ? params.get("groups") : stored.groups;
+		const columns = params.has("columns") ? params.get("columns") : stored.columns;
+		const errors = [];
+		classes.custom = classes.parseGroups(groups, errors);
+		for (const msg of errors) {
+			logger.warn("Skipped custom group: " + msg, true);
+		}
+		try {
+			this.columns = this.parseColumns(columns);
+		} catch (e) {
+			this.columns = undefined;
+			logger.error(e);
+		}
+		if ((!params.has("groups") && stored.groups) || (!params.has("columns") && stored.columns)) {
+			this.updateUrl();
+		}
+	},
+
+	/**
+	 * Sets preferences parameters.
+	 *
+	 * @param {URLSearchParams} params
+	 *   Query parameters.
+	 */
+	toParams(params) {
+		const groups = classes.formatGroups(classes.custom);
+		if (groups.length > 0) {
+			params.set("groups", groups);
+		} else {
+			params.delete("groups");
+		}
+		if (this.columns) {
+			params.set("columns", this.columns.join(","));
+		} else {
+			params.delete("columns");
+		}
+	},
+
+	/**
+	 * Updates page URL with current preferences without adding history entry.
+	 */
+	updateUrl() {
+		const params = new URLSearchParams(window.location.search);
+		this.toParams(params);
+		const query = params.toString();
+		history.replaceState(null, "", window.location.pathname + (query ? "?" + query : ""));
+	},
+
+	/**
+	 * Stores preferences & updates page URL.
+	 */
+	save() {
+		const stored = {};
+		const groups = classes.formatGroups(classes.custom);
+		if (groups.length > 0) {
+			stored.groups = groups;
+		}
+		if (this.columns) {
+			stored.columns = this.columns.join(",");
+		}
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify(stored));
+		} catch (e) {
+			logger.warn("Failed to store preferences: " + e.message);
+		}
+		this.updateUrl();
+	},
+
+	/**
+	 * Shows or hides a column.
+	 *
+	 * @param {string} col
+	 *   Column ID.
+	 * @param {boolean} visible
+	 *   If `true`, column is shown.
+	 */
+	setColumnVisible(col, visible) {
+		if (main.mode !== "items") {
+			return;
+		}
+		const columns = main.getVisibleColumns().filter((c) => c !== col);
+		if (visible) {
+			// keep position relative to default order
+			const idx = columns.findIndex((c) => main.columns.indexOf(c) > main.columns.indexOf(col));
+			columns.splice(idx > -1 ? idx : columns.length, 0, col);
+		}
+		this.setColumns(columns);
+	},
+
+	/**
+	 * Moves a visible column left or right.
+	 *
+	 * @param {string} col
+	 *   Column ID.
+	 * @param {number} offset
+	 *   -1 to move left or 1 to move right.
+	 */
+	moveColumn(col, offset) {
+		if (main.mode !== "items") {
+			return;
+		}
+		const columns = main.getVisibleColumns();
+		const idx = columns.indexOf(col);
+		const target = idx + offset;
+		if (idx < 0 || target < 0 || target >= columns.length) {
+			return;
+		}
+		columns[idx] = columns[target];
+		columns[target] = col;
+		this.setColumns(columns);
+	},
+
+	/**
+	 * Sets visible columns.
+	 *
+	 * @param {string[]|undefined} columns
+	 *   Column IDs in display order or `undefined` to restore defaults.
+	 */
+	setColumns(columns) {
+		this.columns = columns;
+		this.save();
+		main.updateColumns();
+		this.displayColumns();
+	},
+
+	/**
+	 * Adds or replaces a user-defined group.
+	 *
+	 * @param {string} name
+	 *   Group name.
+	 * @param {string[]} members
+	 *   Class names.
+	 * @returns {boolean}
+	 *   `true` if group was added.
+	 */
+	addGroup(name, members) {
+		name = name.trim();
+		if (name.length === 0 || /[:;,]/.test(name)) {
+			logger.error("Invalid group name: " + name);
+			return false;
+		}
+		if (Object.keys(classes.groups).indexOf(name) > -1 || classes.available.indexOf(name) > -1) {
+			logger.error("Group name is already used by an item class or group: " + name);
+			return false;
+		}
+		if (members.length === 0) {
+			logger.error("Select classes for group " + name);
+			return false;
+		}
+		classes.custom[name] = members;
+		this.onGroupsChange(name);
+		return true;
+	},
+
+	/**
+	 * Removes a user-defined group.
+	 *
+	 * @param {string} name
+	 *   Group name.
+	 */
+	removeGroup(name) {
+		delete classes.custom[name];
+		this.onGroupsChange(name);
+	},
+
+	/**
+	 * Stores groups & updates class selector.
+	 *
+	 * @param {string} name
+	 *   Name of added, replaced or removed group.
+	 */
+	onGroupsChange(name) {
+		this.save();
+		this.displayGroups();
+		const className = main.className;
+		const params = new URLSearchParams(window.location.search);
+		if (!classes.isCustomGroup(className) && classes.getGroupNames().indexOf(className) < 0
+				&& classes.available.indexOf(className) < 0) {
+			// selected group was removed
+			params.delete("class");
+			history.replaceState(null, "", window.location.pathname + "?" + params.toString());
+		}
+		main.listClasses();
+		if (main.className !== className || name === className) {
+			loadItems();
+		}
+	},
+
+	/**
+	 * Builds column selection list.
+	 *
+	 * Chosen columns apply to items only, so selection is disabled in other modes.
+	 */
+	displayColumns() {
+		const container = document.getElementById("preferences-columns");
+		if (main.mode !== "items") {
+			container.innerText = "Columns can be chosen when items are displayed.";
+			document.getElementById("preferences-columns-reset").disabled = true;
+			return;
+		}
+		const visible = main.getVisibleColumns();
+		const order = visible.concat(main.columns.filter((col) => visible.indexOf(col) < 0));
+		const list = document.createElement("ul");
+		for (const col of order) {
+			const li = document.createElement("li");
+			const checkbox = document.createElement("input");
+			checkbox.type = "checkbox";
+			checkbox.id = "preferences-column-" + col;
+			checkbox.checked = visible.indexOf(col) > -1;
+			checkbox.addEventListener("change", () => {
+				this.setColumnVisible(col, checkbox.checked);
+			});
+			const label = document.createElement("label");
+			label.htmlFor = checkbox.id;
+			label.innerText = main.getColumnLabel(col);
+			li.append(checkbox, label);
+			if (checkbox.checked) {
+				for (const [text, offset] of [["↑", -1], ["↓", 1]]) {
+					const button = document.createElement("button");
+					button.innerText = text;
+					button.title = offset < 0 ? "Move left" : "Move right";
+					button.addEventListener("click", () => {
+						this.moveColumn(col, offset);
+					});
+					li.appendChild(button);
+				}
+			}
+			list.appendChild(li);
+		}
+		container.replaceChildren(list);
+		document.getElementById("preferences-columns-reset").disabled = !this.columns;
+	},
+
+	/**
+	 * Builds list of user-defined groups & class selection for new groups.
+	 */
+	displayGroups() {
+		const list = document.createElement("ul");
+		for (const name of Object.keys(classes.custom)) {
+			const li = document.createElement("li");
+			li.innerText = name + ": " + classes.custom[name].join(", ") + " ";
+			const button = document.createElement("button");
+			button.innerText = "Remove";
+			button.addEventListener("click", () => {
+				this.removeGroup(name);
+			});
+			li.appendChild(button);
+			list.appendChild(li);
+		}
+		document.getElementById("preferences-groups").replaceChildren(list);
+
+		const select = document.getElementById("preferences-group-classes");
+		select.replaceChildren();
+		for (const className of classes.available) {
+			select.appendChild(new Option(className, className));
+		}
+	},
+
+	/**
+	 * Shows or hides preferences editor.
+	 */
+	toggle() {
+		const container = document.getElementById("preferences");
+		container.classList.toggle("hidden");
+		if (!container.classList.contains("hidden")) {
+			this.displayColumns();
+			this.displayGroups();
+		}
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	document.getElementById("preferences-button").addEventListener("click", () => {
+		preferences.toggle();
+	});
+	document.getElementById("preferences-columns-reset").addEventListener("click", () => {
+		preferences.setColumns(undefined);
+	});
+	document.getElementById("preferences-group-add").addEventListener("click", () => {
+		const input = document.getElementById("preferences-group-name");
+		const select = document.getElementById("preferences-group-classes");
+		const members = Array.from(select.selectedOptions).map((opt) => opt.value);
+		if (preferences.addGroup(input.value, members)) {
+			input.value = "";
+		}
+	});
+});
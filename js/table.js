@@ -0,0 +1,372 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Accessible data table with keyboard navigation & virtualised rendering.
+ *
+ * Only rows near the visible area of the scrolling container are rendered. Rows have a fixed
+ * height so that the rendered range can be computed from scroll position.
+ */
+const table = {
+	/** Scrolling container element. */
+	container: undefined,
+	/** Table element. */
+	element: undefined,
+	/** Row height in pixels. Must match CSS. */
+	rowHeight: 36,
+	/** Number of rows rendered above & below visible area. */
+	overscan: 10,
+	/** Displayed columns with `id`, `label` & `sortable` properties. */
+	columns: [],
+	/** Displayed data objects. */
+	rows: [],
+	/** Sort keys with `key` & `descending` properties. */
+	sort: [],
+	/** Index of focused row. */
+	activeRow: 0,
+	/** Range of currently rendered row indexes. */
+	rendered: {start: 0, end: 0},
+	/** Function building contents of a cell from row data & column ID. */
+	renderCell: undefined,
+	/** Function called with column ID & whether to add as further key when a header is activated. */
+	onSort: undefined,
+	/** Function called with row data when a row is activated. */
+	onActivate: undefined,
+	/** Function returning row CSS classes for row data. */
+	getRowClasses: undefined,
+
+	/**
+	 * Creates table inside container.
+	 *
+	 * @param {HTMLElement} container
+	 *   Scrolling container element.
+	 * @param {object} options
+	 *   `renderCell`, `onSort`, `onActivate` & optional `getRowClasses` functions & `label`
+	 *   describing table contents.
+	 */
+	init(container, options) {
+		this.container = container;
+		this.renderCell = options.renderCell;
+		this.onSort = options.onSort;
+		this.onActivate = options.onActivate;
+		this.getRowClasses = options.getRowClasses || (() => []);
+		this.element = document.createElement("table");
+		this.element.setAttribute("role", "grid");
+		this.element.setAttribute("aria-label", options.label || "");
+		this.element.createTHead().insertRow();
+		this.element.createTBody();
+		container.replaceChildren(this.element);
+
+		let pending = false;
+		container.addEventListener("scroll", () => {
+			// render at most once per frame
+			if (!pending) {
+				pending = true;
+				window.requestAnimationFrame(() => {
+					pending = false;
+					this.renderRows();
+				});
+			}
+		});
+		window.addEventListener("resize", () => {
+			this.renderRows();
+		});
+		this.element.tBodies[0].addEventListener("keydown", (evt) => {
+			this.onKeyDown(evt);
+		});
+	},
+
+	/**
+	 * Sets displayed columns & rebuilds header.
+	 *
+	 * @param {object[]} columns
+	 *   Columns with `id`, `label` & `sortable` properties.
+	 */
+	setColumns(columns) {
+		this.columns = columns;
+		const headerRow = this.element.tHead.rows[0];
+		headerRow.replaceChildren();
+		for (const column of columns) {
+			const th = document.createElement("th");
+			th.scope = "col";
+			th.dataset.column = column.id;
+			if (column.sortable) {
+				// button makes header reachable by keyboard
+				const button = document.createElement("button");
+				button.classList.add("sort-button");
+				button.title = "Sort by " + column.label + ", shift+click to add as further sort key";
+				button.innerText = column.label;
+				const indicator = document.createElement("span");
+				indicator.classList.add("sort-indicator");
+				indicator.setAttribute("aria-hidden", "true");
+				button.appendChild(indicator);
+				button.addEventListener("click", (evt) => {
+					this.onSort(column.id, evt.shiftKey);
+				});
+				th.appendChild(button);
+			} else {
+				th.innerText = column.label;
+			}
+			headerRow.appendChild(th);
+		}
+		this.updateSortIndicators();
+		this.renderRows(true);
+	},
+
+	/**
+	 * Sets sort keys shown in header.
+	 *
+	 * @param {object[]} sort
+	 *   Sort keys with `key` & `descending` properties.
+	 */
+	setSort(sort) {
+		this.sort = sort;
+		this.updateSortIndicators();
+	},
+
+	/**
+	 * Marks sorted columns with direction & precedence.
+	 */
+	updateSortIndicators() {
+		for (const th of this.element.tHead.rows[0].cells) {
+			const idx = this.sort.findIndex((sk) => sk.key === th.dataset.column);
+			if (idx === 0) {
+				th.setAttribute("aria-sort", this.sort[0].descending ? "descending" : "ascending");
+			} else {
+				th.removeAttribute("aria-sort");
+			}
+			const indicator = th.querySelector(".sort-indicator");
+			if (!indicator) {
+				continue;
+			}
+			let text = "";
+			if (idx > -1) {
+				text = " " + (this.sort[idx].descending ? "▼" : "▲");
+				if (this.sort.length > 1) {
+					text += idx + 1;
+				}
+			}
+			indicator.innerText = text;
+		}
+	},
+
+	/**
+	 * Sets displayed data & renders rows from top.
+	 *
+	 * @param {object[]} rows
+	 *   Data objects.
+	 */
+	setRows(rows) {
+		this.rows = rows;
+		this.activeRow = Math.min(this.activeRow, Math.max(rows.length - 1, 0));
+		this.element.setAttribute("aria-rowcount", "" + (rows.length + 1));
+		this.renderRows(true);
+	},
+
+	/**
+	 * Retrieves range of rows to render for current scroll position.
+	 *
+	 * @returns {object}
+	 *   Object with `start` & `end` indexes, `end` being exclusive.
+	 */
+	getRange() {
+		const viewHeight = this.container.clientHeight || window.innerHeight;
+		const first = Math.floor(this.container.scrollTop / this.rowHeight);
+		const count = Math.ceil(viewHeight / this.rowHeight);
+		return {
+			start: Math.max(first - this.overscan, 0),
+			end: Math.min(first + count + this.overscan, this.rows.length)
+		};
+	},
+
+	/**
+	 * Creates a spacer row standing in for rows that are not rendered.
+	 *
+	 * @param {number} count
+	 *   Number of rows replaced.
+	 * @returns {HTMLTableRowElement}
+	 *   Spacer row.
+	 */
+	createSpacer(count) {
+		const tr = document.createElement("tr");
+		tr.classList.add("spacer-row");
+		tr.setAttribute("aria-hidden", "true");
+		tr.style.height = (count * this.rowHeight) + "px";
+		const td = tr.insertCell();
+		td.colSpan = Math.max(this.columns.length, 1);
+		return tr;
+	},
+
+	/**
+	 * Creates a row element.
+	 *
+	 * @param {number} idx
+	 *   Row index.
+	 * @returns {HTMLTableRowElement}
+	 *   Row element.
+	 */
+	createRow(idx) {
+		const data = this.rows[idx];
+		const tr = document.createElement("tr");
+		tr.dataset.index = "" + idx;
+		tr.setAttribute("aria-rowindex", "" + (idx + 2));
+		tr.setAttribute("aria-selected", idx === this.activeRow ? "true" : "false");
+		tr.tabIndex = idx === this.activeRow ? 0 : -1;
+		tr.classList.add(...this.getRowClasses(data));
+		if (idx % 2 === 1) {
+			tr.classList.add("odd-row");
+		}
+		for (const column of this.columns) {
+			const td = tr.insertCell();
+			td.dataset.column = column.id;
+			this.renderCell(td, data, column.id);
+		}
+		tr.addEventListener("click", (evt) => {
+			this.setActive(idx, false);
+			if (!evt.target.closest("a")) {
+				this.onActivate(data);
+			}
+		});
+		return tr;
+	},
+
+	/**
+	 * Renders rows near visible area.
+	 *
+	 * @param {boolean} [force=false]
+	 *   If `true`, rows are rendered even if range did not change.
+	 */
+	renderRows(force=false) {
+		if (!this.element) {
+			return;
+		}
+		const range = this.getRange();
+		if (!force && range.start === this.rendered.start && range.end === this.rendered.end) {
+			return;
+		}
+		this.rendered = range;
+		const body = this.element.tBodies[0];
+		const hadFocus = body.contains(document.activeElement);
+		const rows = [];
+		if (range.start > 0) {
+			rows.push(this.createSpacer(range.start));
+		}
+		for (let idx = range.start; idx < range.end; idx++) {
+			rows.push(this.createRow(idx));
+		}
+		if (range.end < this.rows.length) {
+			rows.push(this.createSpacer(this.rows.length - range.end));
+		}
+		body.replaceChildren(...rows);
+		if (hadFocus) {
+			this.focusActive();
+		}
+	},
+
+	/**
+	 * Retrieves rendered element of a row.
+	 *
+	 * @param {number} idx
+	 *   Row index.
+	 * @returns {HTMLTableRowElement|null}
+	 *   Row element or `null` if row is not rendered.
+	 */
+	getRowElement(idx) {
+		return this.element.tBodies[0].querySelector("tr[data-index=\"" + idx + "\"]");
+	},
+
+	/**
+	 * Moves focus to active row.
+	 */
+	focusActive() {
+		const tr = this.getRowElement(this.activeRow);
+		if (tr) {
+			tr.focus({preventScroll: true});
+		}
+	},
+
+	/**
+	 * Sets active row, scrolling it into view.
+	 *
+	 * @param {number} idx
+	 *   Row index.
+	 * @param {boolean} [focus=true]
+	 *   If `true`, row receives keyboard focus.
+	 */
+	setActive(idx, focus=true) {
+		if (this.rows.length === 0) {
+			return;
+		}
+		idx = Math.min(Math.max(idx, 0), this.rows.length - 1);
+		const previous = this.getRowElement(this.activeRow);
+		if (previous) {
+			previous.tabIndex = -1;
+			previous.setAttribute("aria-selected", "false");
+		}
+		this.activeRow = idx;
+		// keep row below sticky header
+		const headerHeight = this.element.tHead.offsetHeight || this.rowHeight;
+		const top = idx * this.rowHeight;
+		const viewHeight = this.container.clientHeight || window.innerHeight;
+		if (top < this.container.scrollTop) {
+			this.container.scrollTop = top;
+		} else if (top + this.rowHeight + headerHeight > this.container.scrollTop + viewHeight) {
+			this.container.scrollTop = top + this.rowHeight + headerHeight - viewHeight;
+		}
+		this.renderRows();
+		const tr = this.getRowElement(idx);
+		if (tr) {
+			tr.tabIndex = 0;
+			tr.setAttribute("aria-selected", "true");
+		}
+		if (focus) {
+			this.focusActive();
+		}
+	},
+
+	/**
+	 * Handles keyboard navigation between rows.
+	 *
+	 * @param {KeyboardEvent} evt
+	 *   Key event.
+	 */
+	onKeyDown(evt) {
+		const page = Math.max(Math.floor((this.container.clientHeight || window.innerHeight) / this.rowHeight) - 1, 1);
+		const moves = {
+			ArrowDown: 1,
+			ArrowUp: -1,
+			PageDown: page,
+			PageUp: -page,
+			Home: -this.rows.length,
+			End: this.rows.length
+		};
+		if (typeof(moves[evt.key]) !== "undefined") {
+			evt.preventDefault();
+			this.setActive(this.activeRow + moves[evt.key]);
+		} else if ((evt.key === "Enter" || evt.key === " ") && evt.target.tagName === "TR") {
+			evt.preventDefault();
+			this.onActivate(this.rows[this.activeRow]);
+		}
+	}
+};
@@ -0,0 +1,385 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * History of a single item across released versions.
+ *
+ * The class files of every release tag in the version catalogue are parsed to find when the item
+ * was introduced, changed, removed or marked unattainable.
+ */
+const timeline = {
+	/** Item attributes checked for changes. */
+	attributes: ["level", "rate", "atk", "def", "dpt", "range", "value", "special"],
+	/** Attributes plotted in chart & their line colors. */
+	plotted: {level: "seagreen", rate: "darkorange", atk: "firebrick", def: "steelblue"},
+	/** Chart dimensions in pixels. */
+	width: 480,
+	height: 200,
+	/** Identifier of most recent load so that outdated results are discarded. */
+	loadId: 0,
+
+	/**
+	 * Retrieves versions to walk from oldest to newest.
+	 *
+	 * @returns {object[]}
+	 *   Objects with `version` & `branch` properties. Unreleased version is last.
+	 */
+	getReleases() {
+		const releases = main.catalogue.slice().reverse().map((entry) => {
+			return {version: entry.version, branch: entry.tag};
+		});
+		releases.push({version: versions.master, branch: versions.master});
+		return releases;
+	},
+
+	/**
+	 * Fetches an item from class files of a version.
+	 *
+	 * @param {string} branch
+	 *   Branch URL slug.
+	 * @param {string} name
+	 *   Item name.
+	 * @param {string[]} files
+	 *   Class names to search in order.
+	 * @returns {Promise<object>}
+	 *   Object with `item`, `file` & `unknown` properties, `item` is `undefined` if not found.
+	 *   `unknown` is `true` if the item was not found & a file could not be loaded.
+	 */
+	async fetchItem(branch, name, files) {
+		let unknown = false;
+		for (const file of files) {
+			let found;
+			const loaded = await remote.fetchText("data/conf/items/" + file + ".xml", (content) => {
+				found = parser.parseItems(content, [], file, true).find((item) => item.name === name);
+			}, "text/plain", branch);
+			if (found) {
+				return {item: found, file: file, unknown: false};
+			}
+			if (!loaded) {
+				unknown = true;
+			}
+		}
+		return {item: undefined, file: undefined, unknown: unknown};
+	},
+
+	/**
+	 * Loads an item from every version.
+	 *
+	 * @param {string} name
+	 *   Item name.
+	 * @param {Function} onProgress
+	 *   Function called with version being loaded, its index & number of versions.
+	 * @returns {Promise<object[]>}
+	 *   Snapshots with `version`, `item` & `unknown` properties ordered from oldest to newest.
+	 */
+	async load(name, onProgress) {
+		const files = classes.getMembers(main.className);
+		const snapshots = [];
+		let file;
+		const releases = this.getReleases();
+		for (let idx = 0; idx < releases.length; idx++) {
+			const release = releases[idx];
+			onProgress(release.version, idx, releases.length);
+			// item is most likely in same file as in previous version
+			const order = file ? [file].concat(files.filter((f) => f !== file)) : files;
+			const res = await this.fetchItem(release.branch, name, order);
+			if (res.file) {
+				file = res.file;
+			}
+			snapshots.push({version: release.version, item: res.item, unknown: res.unknown});
+		}
+		return snapshots;
+	},
+
+	/**
+	 * Builds list of events from snapshots.
+	 *
+	 * Versions that could not be loaded are skipped so that they do not appear as removal.
+	 *
+	 * @param {object[]} snapshots
+	 *   Snapshots from `timeline.load`.
+	 * @returns {object[]}
+	 *   Events with `version`, `status`, `item` & `changes` properties. Changes list `attribute`,
+	 *   `before` & `after` values.
+	 */
+	build(snapshots) {
+		const events = [];
+		let previous;
+		let seen = false;
+		for (const snapshot of snapshots) {
+			if (snapshot.unknown) {
+				continue;
+			}
+			const item = snapshot.item;
+			if (!item) {
+				if (previous) {
+					events.push({version: snapshot.version, status: "removed", item: previous, changes: []});
+				}
+				previous = undefined;
+				continue;
+			}
+			if (!previous) {
+				events.push({version: snapshot.version, status: seen ? "reintroduced" : "introduced", item: item,
+						changes: []});
+				seen = true;
+				previous = item;
+				continue;
+			}
+			const changes = [];
+			for (const attr of this.attributes) {
+				if (!compare.isEqual(previous[attr], item[attr])) {
+					changes.push({attribute: attr, before: previous[attr], after: item[attr]});
+				}
+			}
+			if (previous.details.unattainable !== item.details.unattainable) {
+				changes.push({attribute: "unattainable", before: previous.details.unattainable,
+						after: item.details.unattainable});
+			}
+			if (changes.length > 0) {
+				events.push({version: snapshot.version, status: "changed", item: item, changes: changes});
+			}
+			previous = item;
+		}
+		return events;
+	},
+
+	/**
+	 * Formats an attribute value.
+	 *
+	 * @param {string} attr
+	 *   Attribute name.
+	 * @param {any} value
+	 *   Attribute value.
+	 * @returns {string}
+	 *   Formatted value.
+	 */
+	formatValue(attr, value) {
+		if (attr === "special") {
+			return effects.formatList(value).join(", ") || "none";
+		}
+		if (attr === "unattainable") {
+			return value ? "yes" : "no";
+		}
+		return "" + value;
+	},
+
+	/**
+	 * Creates table listing events.
+	 *
+	 * @param {object[]} events
+	 *   Events from `timeline.build`.
+	 * @returns {HTMLTableElement}
+	 *   Table element.
+	 */
+	createTable(events) {
+		const rows = [];
+		for (const event of events) {
+			let description = "";
+			if (event.status === "changed") {
+				description = event.changes.map((change) => {
+					return main.getColumnLabel(change.attribute) + ": " + this.formatValue(change.attribute, change.before)
+							+ " → " + this.formatValue(change.attribute, change.after);
+				}).join("; ");
+			} else if (event.status !== "removed") {
+				description = ["level", "rate", "atk", "def"].map((attr) => {
+					return main.getColumnLabel(attr) + " " + event.item[attr];
+				}).join(", ");
+				if (event.item.details.unattainable) {
+					description += ", unattainable";
+				}
+			}
+			rows.push([event.version, event.status, description]);
+		}
+		return details.createTable("History", ["Version", "Event", "Details"], rows);
+	},
+
+	/**
+	 * Creates chart plotting numeric attributes over versions.
+	 *
+	 * Lines are interrupted in versions without the item.
+	 *
+	 * @param {object[]} snapshots
+	 *   Snapshots from `timeline.load`.
+	 * @returns {SVGSVGElement}
+	 *   Chart element.
+	 */
+	createChart(snapshots) {
+		const margin = {top: 10, right: 10, bottom: 30, left: 40};
+		const plotWidth = this.width - margin.left - margin.right;
+		const plotHeight = this.height - margin.top - margin.bottom;
+		const values = [];
+		for (const snapshot of snapshots) {
+			for (const attr in this.plotted) {
+				if (snapshot.item && Number.isFinite(snapshot.item[attr])) {
+					values.push(snapshot.item[attr]);
+				}
+			}
+		}
+		const ticks = chart.getTicks(0, Math.max(1, ...values), 4);
+		const yMax = ticks[ticks.length - 1];
+		const scaleX = (idx) => margin.left + (snapshots.length > 1 ? idx / (snapshots.length - 1) : 0.5) * plotWidth;
+		const scaleY = (y) => margin.top + plotHeight - y / yMax * plotHeight;
+
+		const svg = chart.createElement("svg", {
+			width: this.width,
+			height: this.height,
+			viewBox: "0 0 " + this.width + " " + this.height,
+			role: "img",
+			"aria-label": "Attributes by version"
+		});
+		for (const tick of ticks) {
+			svg.appendChild(chart.createElement("line", {x1: margin.left, y1: scaleY(tick),
+					x2: margin.left + plotWidth, y2: scaleY(tick), class: "chart-grid"}));
+			const label = chart.createElement("text", {x: margin.left - 5, y: scaleY(tick) + 4, "text-anchor": "end"});
+			label.textContent = "" + tick;
+			svg.appendChild(label);
+		}
+		// label first, last & every few versions in between
+		const step = Math.max(Math.ceil(snapshots.length / 8), 1);
+		snapshots.forEach((snapshot, idx) => {
+			if (idx % step === 0 || idx === snapshots.length - 1) {
+				const label = chart.createElement("text", {x: scaleX(idx), y: this.height - 10, "text-anchor": "middle"});
+				label.textContent = snapshot.version;
+				svg.appendChild(label);
+			}
+		});
+		svg.appendChild(chart.createElement("rect", {x: margin.left, y: margin.top, width: plotWidth,
+				height: plotHeight, class: "chart-frame"}));
+		for (const attr in this.plotted) {
+			let segment = [];
+			const segments = [segment];
+			snapshots.forEach((snapshot, idx) => {
+				if (snapshot.item && Number.isFinite(snapshot.item[attr])) {
+					segment.push(scaleX(idx) + "," + scaleY(snapshot.item[attr]));
+				} else if (segment.length > 0) {
+					segment = [];
+					segments.push(segment);
+				}
+			});
+			for (const points of segments.filter((s) => s.length > 0)) {
+				const line = chart.createElement("polyline", {points: points.join(" "), fill: "none",
+						stroke: this.plotted[attr], "stroke-width": 2});
+				const title = chart.createElement("title");
+				title.textContent = main.getColumnLabel(attr);
+				line.appendChild(title);
+				svg.appendChild(line);
+			}
+		}
+		return svg;
+	},
+
+	/**
+	 * Creates legend of chart lines.
+	 *
+	 * @returns {HTMLDivElement}
+	 *   Legend element.
+	 */
+	createLegend() {
+		const legend = document.createElement("div");
+		for (const attr in this.plotted) {
+			const entry = document.createElement("span");
+			entry.classList.add("timeline-legend");
+			entry.style.borderColor = this.plotted[attr];
+			entry.innerText = main.getColumnLabel(attr);
+			legend.appendChild(entry);
+		}
+		return legend;
+	},
+
+	/**
+	 * Loads & displays history of an item.
+	 *
+	 * @param {string} name
+	 *   Item name.
+	 */
+	async show(name) {
+		const container = document.getElementById("timeline");
+		const result = document.getElementById("timeline-result");
+		container.classList.remove("hidden");
+		document.getElementById("timeline-name").value = name;
+		name = name.trim();
+		if (name.length === 0) {
+			result.innerText = "Enter an item name.";
+			return;
+		}
+		if (!remote.source.usesBranches) {
+			result.innerText = "History requires a data source with multiple versions.";
+			return;
+		}
+		if (main.catalogue.length === 0) {
+			result.innerText = "History is not available because the version catalogue could not be loaded.";
+			return;
+		}
+		const loadId = ++this.loadId;
+		const snapshots = await this.load(name, (version, idx, total) => {
+			if (loadId === this.loadId) {
+				result.innerText = "Loading " + version + " (" + (idx + 1) + "/" + total + ")...";
+			}
+		});
+		if (loadId !== this.loadId) {
+			return;
+		}
+		const events = this.build(snapshots);
+		const unknown = snapshots.filter((snapshot) => snapshot.unknown).map((snapshot) => snapshot.version);
+		const note = document.createElement("p");
+		if (unknown.length > 0) {
+			note.innerText = (unknown.length > 1 ? "Versions " : "Version ") + unknown.join(", ")
+					+ " could not be loaded & skipped. Changes made in skipped versions are listed under the "
+					+ "next loaded version.";
+		}
+		if (events.length === 0) {
+			result.innerText = "Item \"" + name + "\" was not found in any loaded version of class "
+					+ main.className + ".";
+			result.appendChild(note);
+			return;
+		}
+		result.replaceChildren(this.createTable(events), note, this.createChart(snapshots), this.createLegend());
+	},
+
+	/**
+	 * Shows or hides history panel.
+	 */
+	toggle() {
+		document.getElementById("timeline").classList.toggle("hidden");
+	}
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+	document.getElementById("timeline-button").addEventListener("click", () => {
+		timeline.toggle();
+	});
+	document.getElementById("timeline-show").addEventListener("click", () => {
+		timeline.show(document.getElementById("timeline-name").value);
+	});
+	document.getElementById("timeline-name").addEventListener("keydown", (evt) => {
+		if (evt.key === "Enter") {
+			timeline.show(evt.target.value);
+		}
+	});
+	document.getElementById("timeline-name").addEventListener("focus", () => {
+		// suggest names of loaded items
+		const list = document.getElementById("timeline-names");
+		list.replaceChildren(...main.items.map((item) => new Option(item.name)));
+	});
+});
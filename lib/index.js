@@ -0,0 +1,242 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Node.js interface for loading & parsing Stendhal items.
+ */
+
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const {DOMParser} = require("@xmldom/xmldom");
+const core = require("../js/core.js");
+
+core.xml.DOMParser = DOMParser;
+
+const {classes, parser, repoPrefix, sorter, tagsUrl, versions} = core;
+
+/** Manifest of release tags used when GitHub API is unavailable. */
+const manifestPath = path.join(__dirname, "..", "versions.json");
+/** Attributes of parsed items by which they can be sorted. */
+const sortable = ["value", "level", "rate", "atk", "dpt", "def", "range", "heal", "healrate", "turns", "healvalue",
+		"immunity", "special"].concat(sorter.tieBreakers);
+
+/**
+ * Creates a function that reads files from Stendhal repo.
+ *
+ * @param {object} [options={}]
+ *   Reader options.
+ * @param {string} [options.path]
+ *   Local Stendhal checkout. Branch is ignored when reading from local files.
+ * @param {string} [options.base]
+ *   Base URL of a mirror. `{branch}` is replaced with branch name. Defaults to GitHub.
+ * @returns {Function}
+ *   Async function taking branch & path relative to repo root & returning file contents.
+ */
+function createReader(options={}) {
+	if (options.path) {
+		return async (branch, file) => {
+			return await fs.readFile(path.join(options.path, file), "utf8");
+		};
+	}
+	let base = options.base || repoPrefix + "{branch}/";
+	if (!base.endsWith("/")) {
+		base += "/";
+	}
+	return async (branch, file) => {
+		const url = base.replaceAll("{branch}", branch) + file;
+		const res = await fetch(url);
+		if (!res.ok) {
+			throw new Error("Failed to fetch " + url + ": " + res.status + " " + res.statusText);
+		}
+		return await res.text();
+	};
+}
+
+/**
+ * Retrieves current release version.
+ *
+ * @param {Function} read
+ *   Reader from `createReader`.
+ * @returns {Promise<string>}
+ *   Version string.
+ */
+async function getCurrentVersion(read) {
+	const versionString = parser.parseVersionString(await read("master", "build.ant.properties"));
+	if (!versionString) {
+		throw new Error("Version not found in build.ant.properties");
+	}
+	return versionString;
+}
+
+/**
+ * Loads catalogue of released versions.
+ *
+ * @param {object} [options={}]
+ *   Catalogue options.
+ * @param {boolean} [options.offline=false]
+ *   If `true`, only bundled manifest is read. Otherwise tags are listed with GitHub API &
+ *   manifest is used as fallback.
+ * @returns {Promise<object[]>}
+ *   Catalogue of release tags sorted from newest to oldest.
+ */
+async function loadVersions(options={}) {
+	if (!options.offline) {
+		try {
+			const tags = [];
+			for (let page = 1; page <= 10; page++) {
+				const url = tagsUrl + "?per_page=100&page=" + page;
+				const res = await fetch(url);
+				if (!res.ok) {
+					throw new Error("Failed to fetch " + url + ": " + res.status + " " + res.statusText);
+				}
+				const list = await res.json();
+				tags.push(...list);
+				if (list.length < 100) {
+					break;
+				}
+			}
+			return versions.parseTags(tags);
+		} catch (e) {
+			process.emitWarning("Using bundled version manifest: " + e.message);
+		}
+	}
+	return versions.parseTags(JSON.parse(await fs.readFile(manifestPath, "utf8")));
+}
+
+/**
+ * Resolves branch to read for a version.
+ *
+ * @param {Function} read
+ *   Reader from `createReader`.
+ * @param {string} [versionString]
+ *   Version string or "master". Defaults to current release.
+ * @param {object[]} [catalogue]
+ *   Catalogue from `loadVersions`. If omitted, or current release is not listed yet, tag name is
+ *   derived from version.
+ * @returns {Promise<object>}
+ *   Object with `version` & `branch` properties.
+ */
+async function resolveVersion(read, versionString, catalogue) {
+	if (!versionString) {
+		versionString = await getCurrentVersion(read);
+	}
+	if (versionString === versions.master) {
+		return {version: versionString, branch: versions.master};
+	}
+	if (!versions.isValid(versionString)) {
+		throw new Error("Invalid version: " + versionString);
+	}
+	const entry = catalogue ? versions.find(catalogue, versionString) : undefined;
+	if (entry) {
+		return {version: versionString, branch: entry.tag};
+	}
+	if (catalogue && versions.compare(versionString, await getCurrentVersion(read)) !== 0) {
+		throw new Error("Unknown version " + versionString + ": no release tag found");
+	}
+	return {version: versionString, branch: parser.getBranchName(parser.parseVersion(versionString))};
+}
+
+/**
+ * Loads catalogue to resolve requested version with.
+ *
+ * @param {object} options
+ *   Reader options from `createReader`, `version` & `offline` as in `loadVersions`.
+ * @returns {Promise<object[]|undefined>}
+ *   Catalogue or `undefined` if a release version is not requested or reader does not use
+ *   branches.
+ */
+async function loadCatalogue(options) {
+	if (!options.version || options.version === versions.master || !versions.isValid(options.version)
+			|| options.path || (options.base && !options.base.includes("{branch}"))) {
+		return undefined;
+	}
+	return await loadVersions({offline: options.offline});
+}
+
+/**
+ * Loads available item classes.
+ *
+ * @param {object} [options={}]
+ *   Reader options from `createReader` & optional `version` & `offline` as in `loadItems`.
+ * @returns {Promise<string[]>}
+ *   Group & class names.
+ */
+async function loadClassNames(options={}) {
+	const read = createReader(options);
+	const {branch} = await resolveVersion(read, options.version, await loadCatalogue(options));
+	const classNames = parser.parseClassNames(await read(branch, "data/conf/items.xml"));
+	return classes.getGroupNames().concat(classNames);
+}
+
+/**
+ * Loads items of a class or group.
+ *
+ * @param {object} [options={}]
+ *   Reader options from `createReader` & the following.
+ * @param {string} [options.className="weapons"]
+ *   Item class or group name.
+ * @param {string} [options.version]
+ *   Stendhal version. Defaults to current release. Release versions are looked up in catalogue.
+ * @param {boolean} [options.offline=false]
+ *   If `true`, versions are looked up in bundled manifest only.
+ * @param {string} [options.sort="name"]
+ *   Comma-separated attributes by which to sort. Attributes prefixed with "-" are sorted in
+ *   descending order. Unknown attributes are rejected.
+ * @param {boolean} [options.descending=false]
+ *   If `true`, a single sort attribute is sorted in descending order.
+ * @param {boolean} [options.showUnattainable=false]
+ *   If `true`, include items marked as unattainable.
+ * @returns {Promise<object>}
+ *   Object with `version`, `branch` & `items` properties.
+ */
+async function loadItems(options={}) {
+	const read = createReader(options);
+	const className = options.className || "weapons";
+	const spec = sorter.parseSpec(options.sort || "name", options.descending);
+	for (const sk of spec) {
+		if (sortable.indexOf(sk.key) < 0) {
+			throw new Error("Cannot sort by unknown attribute: " + sk.key);
+		}
+	}
+	const res = await resolveVersion(read, options.version, await loadCatalogue(options));
+	const custom = classes.isCustomGroup(className);
+	res.items = [];
+	for (const name of classes.getMembers(className)) {
+		const content = await read(res.branch, "data/conf/items/" + name + ".xml");
+		parser.parseItems(content, res.items, custom ? name : className, options.showUnattainable);
+	}
+	sorter.sort(res.items, spec);
+	return res;
+}
+
+module.exports = Object.assign({}, core, {
+	createReader,
+	getCurrentVersion,
+	loadVersions,
+	resolveVersion,
+	loadClassNames,
+	loadItems
+});
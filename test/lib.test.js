@@ -0,0 +1,141 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+"use strict";
+
+const assert = require("assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {afterEach, beforeEach, describe, it} = require("node:test");
+const lib = require("../lib/index.js");
+
+const fixtures = path.join(__dirname, "fixtures");
+
+describe("lib with stubbed fetch", () => {
+	const originalFetch = globalThis.fetch;
+	let requested;
+
+	beforeEach(() => {
+		requested = [];
+		// serve fixtures in place of Stendhal repo
+		globalThis.fetch = async (url) => {
+			requested.push(url);
+			const file = path.join(fixtures, url.replace(/^https:\/\/[^/]+\/arianne\/stendhal\/[^/]+\//, ""));
+			if (!fs.existsSync(file)) {
+				return {ok: false, status: 404, statusText: "Not Found", text: async () => "404: Not Found"};
+			}
+			return {ok: true, status: 200, text: async () => fs.readFileSync(file, "utf8")};
+		};
+	});
+
+	afterEach(() => {
+		globalThis.fetch = originalFetch;
+	});
+
+	it("loads current release from master branch", async () => {
+		const res = await lib.loadItems({className: "boots"});
+		assert.equal(res.version, "1.45");
+		assert.equal(res.branch, "VERSION_01_RELEASE_45");
+		assert.deepEqual(requested, [
+			lib.repoPrefix + "master/build.ant.properties",
+			lib.repoPrefix + "VERSION_01_RELEASE_45/data/conf/items/boots.xml"
+		]);
+		assert.deepEqual(res.items.map((item) => item.name), ["leather boots", "spiked boots"]);
+	});
+
+	it("loads requested version & sorts", async () => {
+		const res = await lib.loadItems({className: "swords", version: "1.44", sort: "atk", descending: true,
+				offline: true});
+		assert.equal(res.branch, "VERSION_01_RELEASE_44");
+		assert.equal(requested.length, 1);
+		assert.equal(res.items[0].name, "fire sword");
+	});
+
+	it("uses mirror base URL", async () => {
+		const res = await lib.loadClassNames({base: "https://example.org/arianne/stendhal/{branch}"});
+		assert.equal(requested[1], "https://example.org/arianne/stendhal/VERSION_01_RELEASE_45/data/conf/items.xml");
+		assert.deepEqual(res, ["weapons", "protective", "projectiles", "consumables", "swords", "boots", "drink"]);
+	});
+
+	it("loads unreleased version from master branch", async () => {
+		const res = await lib.loadItems({className: "boots", version: "master"});
+		assert.equal(res.branch, "master");
+		assert.deepEqual(requested, [lib.repoPrefix + "master/data/conf/items/boots.xml"]);
+	});
+
+	it("rejects versions without release tag", async () => {
+		const catalogue = await lib.loadVersions({offline: true});
+		await assert.rejects(lib.resolveVersion(lib.createReader(), "1.99", catalogue), /Unknown version 1\.99/);
+		await assert.rejects(lib.resolveVersion(undefined, "latest"), /Invalid version/);
+		assert.deepEqual(await lib.resolveVersion(undefined, "1.45", catalogue),
+				{version: "1.45", branch: "VERSION_01_RELEASE_45"});
+	});
+
+	it("looks up requested version in catalogue", async () => {
+		const stub = globalThis.fetch;
+		globalThis.fetch = async (url) => {
+			if (url.startsWith(lib.tagsUrl)) {
+				requested.push(url);
+				return {ok: true, status: 200, json: async () => [{name: "VERSION_01_RELEASE_44_1"}]};
+			}
+			return await stub(url);
+		};
+		// tag of point release differs from branch name derived from version
+		const res = await lib.loadItems({className: "swords", version: "1.44.1"});
+		assert.equal(res.branch, "VERSION_01_RELEASE_44_1");
+		await assert.rejects(lib.loadClassNames({version: "1.44"}), /Unknown version 1\.44: no release tag found/);
+		// current release is not listed yet
+		assert.equal((await lib.loadItems({className: "swords", version: "1.45"})).branch, "VERSION_01_RELEASE_45");
+	});
+
+	it("rejects unknown sort attributes", async () => {
+		await assert.rejects(lib.loadItems({className: "swords", sort: "level,-bogus"}),
+				/Cannot sort by unknown attribute: bogus/);
+		assert.deepEqual(requested, []);
+	});
+
+	it("fails on missing files", async () => {
+		await assert.rejects(lib.loadItems({className: "axes", version: "1.45", offline: true}), /404/);
+	});
+});
+
+describe("lib with local checkout", () => {
+	it("reads files from path", async () => {
+		const res = await lib.loadItems({className: "drink", path: fixtures});
+		assert.deepEqual(res.items.map((item) => item.name), ["antidote", "greater potion", "poison", "potion"]);
+	});
+
+	it("loads user-defined groups", async () => {
+		lib.classes.custom = {mixed: ["swords", "drink"]};
+		try {
+			const res = await lib.loadItems({className: "mixed", path: fixtures});
+			assert.equal(res.items.length, 11);
+			// members are parsed as their own class
+			const potion = res.items.find((item) => item.name === "potion");
+			assert.ok(potion.special.some((effect) => effect.kind === "heal"));
+		} finally {
+			lib.classes.custom = {};
+		}
+	});
+});
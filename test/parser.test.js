@@ -0,0 +1,374 @@
+
+/* MIT License
+ *
+ * Copyright © 2024 Jordan Irwin <antumdeluge@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * 	The above copyright notice and this permission notice shall be included in
+ * 	all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+"use strict";
+
+const assert = require("assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {describe, it} = require("node:test");
+const {classes, combinations, drops, effects, offers, parser, sorter, util, versions} = require("../lib/index.js");
+
+const fixtures = path.join(__dirname, "fixtures");
+
+/**
+ * Reads a fixture file.
+ *
+ * @param {string} file
+ *   Path relative to fixtures directory.
+ * @returns {string}
+ *   File contents.
+ */
+function readFixture(file) {
+	return fs.readFileSync(path.join(fixtures, file), "utf8");
+}
+
+/**
+ * Parses items of a fixture class file.
+ *
+ * @param {string} className
+ *   Class name.
+ * @param {boolean} [showUnattainable=false]
+ *   If `true`, include unattainable items.
+ * @returns {object}
+ *   Parsed items keyed by name.
+ */
+function parseClass(className, showUnattainable=false) {
+	const items = parser.parseItems(readFixture("data/conf/items/" + className + ".xml"), [], className,
+			showUnattainable);
+	const res = {};
+	for (const item of items) {
+		res[item.name] = item;
+	}
+	return res;
+}
+
+/**
+ * Formats special effects of an item.
+ *
+ * @param {object} item
+ *   Item definition.
+ * @returns {string[]}
+ *   Formatted effects.
+ */
+function special(item) {
+	return effects.formatList(item.special);
+}
+
+describe("parser.parseVersionString", () => {
+	it("reads previous release version", () => {
+		assert.equal(parser.parseVersionString(readFixture("build.ant.properties")), "1.45");
+	});
+
+	it("returns undefined if version is missing", () => {
+		assert.equal(parser.parseVersionString("version=1.46\n"), undefined);
+	});
+
+	it("reads unreleased version", () => {
+		assert.equal(parser.parseVersionString(readFixture("build.ant.properties"), "version"), "1.46");
+	});
+});
+
+describe("versions", () => {
+	it("compares numerically", () => {
+		assert.ok(versions.compare("1.9", "1.10") < 0);
+		assert.ok(versions.compare("1.10", "1.9") > 0);
+		assert.equal(versions.compare("1.10", "1.10.0"), 0);
+	});
+
+	it("builds sorted catalogue from release tags", () => {
+		const catalogue = versions.parseTags(["VERSION_01_RELEASE_9", {name: "VERSION_01_RELEASE_10"}, "stable",
+				"VERSION_00_RELEASE_99", "VERSION_01_RELEASE_10_1"]);
+		assert.deepEqual(catalogue.map((entry) => entry.version), ["1.10.1", "1.10", "1.9", "0.99"]);
+		assert.equal(catalogue[1].tag, "VERSION_01_RELEASE_10");
+	});
+
+	it("finds only released versions", () => {
+		const catalogue = versions.parseTags(["VERSION_01_RELEASE_45", "VERSION_01_RELEASE_05"]);
+		assert.equal(versions.find(catalogue, "1.5").tag, "VERSION_01_RELEASE_05");
+		assert.equal(versions.find(catalogue, "1.46"), undefined);
+		assert.equal(versions.find(catalogue, "master"), undefined);
+	});
+});
+
+describe("parser.getBranchName", () => {
+	it("pads major version", () => {
+		assert.equal(parser.getBranchName(parser.parseVersion("1.45")), "VERSION_01_RELEASE_45");
+	});
+});
+
+describe("classes.parseGroups", () => {
+	it("parses & formats user-defined groups", () => {
+		const groups = classes.parseGroups("rings+necklaces: ring, necklace;footwear:boots,legs");
+		assert.deepEqual(groups, {"rings+necklaces": ["ring", "necklace"], footwear: ["boots", "legs"]});
+		assert.equal(classes.formatGroups(groups), "rings+necklaces:ring,necklace;footwear:boots,legs");
+	});
+
+	it("skips empty & reserved groups & keeps the others", () => {
+		const errors = [];
+		const groups = classes.parseGroups("empty:;weapons:swords;footwear:boots", errors);
+		assert.deepEqual(groups, {footwear: ["boots"]});
+		assert.equal(errors.length, 2);
+		assert.match(errors[0], /Invalid group/);
+		assert.match(errors[1], /reserved/);
+	});
+
+	it("replaces groups that became built-in & keeps the others", () => {
+		const errors = [];
+		const groups = classes.parseGroups("rings+necklaces:ring,necklace;consumables:food,drink;footwear:boots",
+				errors);
+		assert.deepEqual(groups, {"rings+necklaces": ["ring", "necklace"], footwear: ["boots"]});
+		assert.deepEqual(errors, []);
+		assert.deepEqual(classes.getMembers("consumables"), ["food", "drink"]);
+		classes.parseGroups("consumables:food,drink,misc", errors);
+		assert.match(errors[0], /reserved: consumables/);
+	});
+});
+
+describe("classes.getAttributes", () => {
+	it("selects attributes by class type & combines user-defined group members", () => {
+		assert.deepEqual(classes.getAttributes("swords"), ["level", "rate", "atk", "dpt"]);
+		assert.deepEqual(classes.getAttributes("consumables"), ["value", "heal", "healrate", "turns", "healvalue", "immunity"]);
+		assert.deepEqual(classes.getAttributes("drink"), classes.getAttributes("consumables"));
+		assert.deepEqual(classes.getAttributes("misc"), []);
+		classes.custom = {"swords+boots": ["swords", "boots"]};
+		try {
+			assert.deepEqual(classes.getAttributes("swords+boots"), ["level", "rate", "atk", "dpt", "def"]);
+		} finally {
+			classes.custom = {};
+		}
+	});
+});
+
+describe("parser.parseClassNames", () => {
+	it("lists classes with CRLF line endings & skips excluded classes", () => {
+		assert.deepEqual(parser.parseClassNames(readFixture("data/conf/items.xml")), ["swords", "boots", "drink"]);
+	});
+});
+
+describe("parser.parseItems", () => {
+	it("reads basic attributes", () => {
+		const dagger = parseClass("swords")["dagger"];
+		assert.equal(dagger.class, "sword");
+		assert.equal(dagger.image, "dagger");
+		assert.equal(dagger.value, "5");
+		assert.equal(dagger.atk, 6);
+		assert.equal(dagger.rate, 3);
+		assert.equal(dagger.dpt, 2);
+		assert.deepEqual(dagger.special, []);
+		assert.equal(dagger.details.description, "You see a dagger.");
+	});
+
+	it("merges left & right hand swords", () => {
+		const items = parseClass("swords");
+		assert.equal(items["l hand sword"], undefined);
+		assert.equal(items["r hand sword"], undefined);
+		const pair = items["l/r hand swords"];
+		assert.equal(pair.atk, 22);
+		assert.equal(pair.def, 3);
+		assert.equal(pair.dpt, 5.5);
+		assert.deepEqual(special(pair), ["def (3)"]);
+	});
+
+	it("inverts susceptibility percentages & skips neutral values", () => {
+		const sword = parseClass("swords")["fire sword"];
+		assert.deepEqual(special(sword), [
+			"fire",
+			"poison",
+			"resist poisoned (+10%)",
+			"ice (-20%)",
+			"fire (+20%)",
+			"lifesteal (+10%)"
+		]);
+		assert.deepEqual(sword.special[3], {kind: "susceptibility", type: "ice", value: -20});
+	});
+
+	it("normalizes status attacks", () => {
+		const items = parseClass("swords");
+		assert.deepEqual(special(items["venom sword"]), ["poison"]);
+		assert.deepEqual(special(items["confusing sword"]), ["confused"]);
+		assert.deepEqual(special(items["shocking sword"]), ["shocked"]);
+	});
+
+	it("gives infinite DPT for rate of 0", () => {
+		assert.equal(parseClass("swords")["training sword"].dpt, Infinity);
+	});
+
+	it("filters unattainable items", () => {
+		assert.equal(parseClass("swords")["broken sword"], undefined);
+		const broken = parseClass("swords", true)["broken sword"];
+		assert.equal(broken.details.unattainable, true);
+	});
+
+	it("lists attributes not shown in class columns as special", () => {
+		const boots = parseClass("boots");
+		assert.deepEqual(special(boots["leather boots"]), ["resist poisoned (+5%)"]);
+		assert.deepEqual(special(boots["spiked boots"]), ["atk (1)"]);
+	});
+
+	it("distinguishes consumable heal, hurt & cure", () => {
+		const items = parseClass("drink");
+		assert.deepEqual(special(items["potion"]), ["heal (100)"]);
+		assert.deepEqual(special(items["greater potion"]), ["heal (500)", "regen (10)", "frequency (1)"]);
+		assert.deepEqual(special(items["poison"]), ["hurt (-100)", "regen (-10)", "frequency (2)"]);
+		assert.deepEqual(special(items["antidote"]), ["cure (poisoned)", "immunity duration (400)"]);
+	});
+
+	it("computes consumable efficiency", () => {
+		const items = parseClass("drink");
+		const stats = (item) => [item.heal, item.healrate, item.turns, item.healvalue, item.immunity];
+		assert.deepEqual(stats(items["potion"]), [100, 100, 1, 1, NaN]);
+		assert.deepEqual(stats(items["greater potion"]), [500, 10, 50, 2, NaN]);
+		assert.deepEqual(stats(items["poison"]), [-100, -5, 20, -20, NaN]);
+		assert.deepEqual(stats(items["antidote"]), [NaN, NaN, NaN, NaN, 400]);
+		assert.equal(parseClass("swords")["dagger"].heal, undefined);
+	});
+});
+
+describe("parser.parseShops", () => {
+	it("lists NPC offers by best price & skips other shop types", () => {
+		const prices = parser.parseShops(readFixture("data/conf/shops.xml"));
+		assert.deepEqual(offers.formatList(prices["dagger"].buy), ["Monogenes (40)", "Xin Blanca (40)", "Hagnurk (50)"]);
+		assert.deepEqual(offers.formatList(prices["dagger"].sell), ["Xin Blanca (10)"]);
+		assert.equal(prices["potion"], undefined);
+	});
+
+	it("sorts items without offers last", () => {
+		const items = Object.values(parseClass("swords", true));
+		offers.apply(items, parser.parseShops(readFixture("data/conf/shops.xml")));
+		assert.deepEqual(sorter.sort(items, "buy").map((item) => item.name).slice(0, 3),
+				["dagger", "fire sword", "broken sword"]);
+		assert.deepEqual(sorter.sort(items, "-sell").map((item) => item.name).slice(0, 2), ["dagger", "broken sword"]);
+	});
+});
+
+describe("parser.parseCreatures", () => {
+	it("lists susceptibilities like those of items", () => {
+		const wolf = parser.parseCreatures(readFixture("data/conf/creatures/animal.xml"))[1];
+		assert.deepEqual(wolf.susceptibility, {fire: 1.2, ice: 1});
+		assert.deepEqual(special(wolf), ["fire (-20%)"]);
+	});
+});
+
+describe("drops", () => {
+	const creatures = parser.parseCreatures(readFixture("data/conf/creatures/animal.xml"));
+
+	it("parses quantity ranges & probabilities", () => {
+		assert.deepEqual(creatures[0].drops[0], {item: "cheese", chance: 80, min: 1, max: 3});
+		assert.deepEqual(creatures[2].drops, []);
+	});
+
+	it("indexes creatures by item & sorts by best chance", () => {
+		const sources = drops.index(creatures);
+		assert.deepEqual(drops.formatList(sources["dagger"]), ["wolf (level 5, 5%, 1-2)", "rat (level 0, 2.5%, 1)"]);
+		const items = Object.values(parseClass("swords"));
+		drops.apply(items, sources);
+		assert.deepEqual(sorter.sort(items, "-drops").map((item) => item.name).slice(0, 2), ["dagger", "fire sword"]);
+		assert.ok(Number.isNaN(items.find((item) => item.name === "venom sword").dropchance));
+	});
+
+	it("summarizes sources as best one & count of others", () => {
+		const sources = drops.index(creatures);
+		assert.equal(util.summarize(drops.formatList(sources["dagger"])), "wolf (level 5, 5%, 1-2) +1 more");
+		assert.equal(util.summarize(drops.formatList(sources["cheese"])), "rat (level 0, 80%, 1-3)");
+		assert.equal(util.summarize([]), "");
+	});
+});
+
+describe("combinations", () => {
+	const bow = {name: "longbow", level: 10, rate: 4, atk: 8, range: 8,
+		special: [effects.create("damagetype", "light"), effects.create("statusattack", "poison")]};
+	const arrow = {name: "fire arrow", level: 20, rate: 0, atk: 6, range: 2,
+		special: [effects.create("damagetype", "fire"), effects.create("statusattack", "poison")]};
+
+	it("adds up weapon & ammunition attributes", () => {
+		const combo = combinations.combine(bow, arrow);
+		assert.equal(combo.name, "longbow + fire arrow");
+		assert.equal(combo.level, 20);
+		assert.equal(combo.atk, 14);
+		assert.equal(combo.dpt, 3.5);
+		assert.equal(combo.range, 10);
+		assert.deepEqual(special(combo), ["poison", "fire"]);
+	});
+
+	it("builds all pairs", () => {
+		const plain = Object.assign({}, arrow, {name: "wooden arrow", special: []});
+		const combos = combinations.build([bow], [arrow, plain]);
+		assert.deepEqual(combos.map((combo) => combo.ammo), ["fire arrow", "wooden arrow"]);
+		assert.deepEqual(special(combos[1]), ["light", "poison"]);
+	});
+});
+
+describe("xml.parse", () => {
+	it("rejects content that is not XML", () => {
+		assert.throws(() => parser.parseItems("404: Not Found"), /Invalid XML/);
+		assert.throws(() => parser.parseItems("<items><item></items>"), /Invalid XML/);
+	});
+});
+
+describe("sorter.sort", () => {
+	it("sorts by attribute in both directions", () => {
+		const items = Object.values(parseClass("swords"));
+		const names = (list) => list.map((item) => item.name);
+		sorter.sort(items, "dpt");
+		assert.equal(names(items)[0], "dagger");
+		assert.equal(names(items).pop(), "training sword");
+		sorter.sort(items, "dpt", true);
+		assert.equal(names(items)[0], "training sword");
+	});
+
+	it("sorts structured special effects by kind", () => {
+		const items = Object.values(parseClass("swords"));
+		sorter.sort(items, "special");
+		assert.deepEqual(special(items[items.length - 1]), ["def (3)"]);
+	});
+
+	it("sorts by multiple keys with name as tie-break", () => {
+		const items = Object.values(parseClass("swords"));
+		sorter.sort(items, "level,-dpt");
+		assert.deepEqual(items.map((item) => item.name).slice(0, 4),
+				["training sword", "confusing sword", "shocking sword", "venom sword"]);
+	});
+
+	it("compares numeric attributes as numbers", () => {
+		const items = [{name: "a", value: "50"}, {name: "b", value: "500"}, {name: "c", value: "6"}];
+		sorter.sort(items, "value");
+		assert.deepEqual(items.map((item) => item.name), ["c", "a", "b"]);
+	});
+
+	it("keeps NaN last & sorts Infinity as number", () => {
+		const items = [{name: "a", dpt: NaN}, {name: "b", dpt: Infinity}, {name: "c", dpt: 2}];
+		sorter.sort(items, "dpt");
+		assert.deepEqual(items.map((item) => item.name), ["c", "b", "a"]);
+		sorter.sort(items, "-dpt");
+		assert.deepEqual(items.map((item) => item.name), ["b", "c", "a"]);
+	});
+
+	it("parses & formats sort specification", () => {
+		assert.deepEqual(sorter.parseSpec("level, -dpt,level"),
+				[{key: "level", descending: false}, {key: "dpt", descending: true}]);
+		assert.deepEqual(sorter.parseSpec("atk", true), [{key: "atk", descending: true}]);
+		assert.equal(sorter.formatSpec(sorter.parseSpec("-atk,name")), "-atk,name");
+	});
+});